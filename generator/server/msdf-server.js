@@ -89,16 +89,19 @@ app.post('/api/generate', upload.single('font'), async (req, res) => {
       textureHeight: parseInt(options.textureHeight) || 1024,
       distanceRange: parseFloat(options.distanceRange) || 4,
       fieldType: options.fieldType || 'msdf',
+      glyphIndices: options.glyphIndices || null,
       outputFormat: 'json'
     });
     
-    console.log(`[Server] Generation complete! Texture size: ${result.texture?.length || 0} bytes`);
+    console.log(`[Server] Generation complete! ${result.textures.length} page(s), first page: ${result.texture?.length || 0} bytes`);
     
-    // Return atlas data and texture
+    // Return atlas data and textures (one per atlas page)
+    const textures = result.textures.map(png => `data:image/png;base64,${png.toString('base64')}`);
     res.json({
       success: true,
       atlas: result.data,
-      texture: `data:image/png;base64,${result.texture.toString('base64')}`
+      texture: textures[0],
+      textures
     });
     
     // Clean up temp files after sending response
@@ -109,8 +112,8 @@ app.post('/api/generate', upload.single('font'), async (req, res) => {
     if (result.jsonFile) {
       cleanupPromises.push(unlink(result.jsonFile));
     }
-    if (result.pngFile) {
-      cleanupPromises.push(unlink(result.pngFile));
+    for (const pngFile of result.pngFiles || []) {
+      cleanupPromises.push(unlink(pngFile));
     }
     
     if (cleanupPromises.length > 0) {
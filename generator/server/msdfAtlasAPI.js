@@ -17,6 +17,62 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
  */
 export const DEFAULT_CHARSET = ' !"#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~';
 
+/**
+ * Glyphs without a code point of their own (ligatures, joining forms...)
+ * are exposed to msdf-bmfont through Supplementary Private Use Area-A
+ */
+const GLYPH_INDEX_BASE = 0xF0000;
+
+/**
+ * Build a copy of a font where every requested glyph is reachable through
+ * a private-use code point (GLYPH_INDEX_BASE + original glyph index)
+ * 
+ * @param {string} fontPath - Source font file
+ * @param {number[]|'all'} glyphIndices - Glyph indices to include
+ * @param {string} charset - Characters whose glyphs are included as well
+ * @param {string} outputPath - Where to write the remapped font (.otf)
+ * @returns {Promise<Map<number, number>>} glyph index -> original code point (or -1)
+ */
+async function buildGlyphIndexFont(fontPath, glyphIndices, charset, outputPath) {
+  const { default: opentype } = await import('opentype.js');
+  const buffer = await readFile(fontPath);
+  const source = opentype.parse(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+
+  const indices = new Set(glyphIndices === 'all'
+    ? Array.from({ length: source.glyphs.length }, (_, i) => i)
+    : glyphIndices);
+  for (const char of charset || '') {
+    indices.add(source.charToGlyph(char).index);
+  }
+  indices.delete(0); // .notdef is always glyph 0 of the new font
+
+  const unicodes = new Map();
+  const glyphs = [source.glyphs.get(0)];
+  for (const index of [...indices].sort((a, b) => a - b)) {
+    const glyph = source.glyphs.get(index);
+    if (!glyph) continue;
+    unicodes.set(index, glyph.unicode ?? -1);
+    glyphs.push(new opentype.Glyph({
+      name: glyph.name || `glyph${index}`,
+      unicode: GLYPH_INDEX_BASE + index,
+      advanceWidth: glyph.advanceWidth,
+      path: glyph.path
+    }));
+  }
+
+  const remapped = new opentype.Font({
+    familyName: source.names.fontFamily?.en || 'GlyphIndexed',
+    styleName: source.names.fontSubfamily?.en || 'Regular',
+    unitsPerEm: source.unitsPerEm,
+    ascender: source.ascender,
+    descender: source.descender,
+    glyphs
+  });
+  await writeFile(outputPath, Buffer.from(remapped.toArrayBuffer()));
+
+  return unicodes;
+}
+
 /**
  * Generate MSDF or MTSDF atlas from a font file
  * 
@@ -26,7 +82,8 @@ export const DEFAULT_CHARSET = ' !"#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMN
  * @param {string} [options.charset] - Characters to include (default: ASCII printable)
  * @param {number} [options.fontSize] - Font size in pixels (default: 42)
  * @param {number} [options.textureWidth] - Atlas width (default: 1024)
- * @param {number} [options.textureHeight] - Atlas height (default: 1024)
+ * @param {number} [options.textureHeight] - Atlas height (default: 1024).
+ *   Glyphs that don't fit spill onto additional pages (`data.pages`).
  * @param {number} [options.distanceRange] - Pixel range for SDF (default: 4)
  * @param {string} [options.fieldType] - 'msdf', 'sdf', or 'psdf' (default: 'msdf')
  * @param {string} [options.outputFormat] - 'json' or 'xml' (default: 'json')
@@ -35,6 +92,11 @@ export const DEFAULT_CHARSET = ' !"#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMN
  * @param {boolean} [options.square] - Square atlas (default: false)
  * @param {number} [options.border] - Glyph border padding (default: 2)
  * @param {number} [options.spacing] - Glyph spacing (default: 1)
+ * @param {number[]|'all'} [options.glyphIndices] - Emit a glyph-index-keyed atlas
+ *   for use with a text shaper: these glyph indices ('all' = every glyph in the
+ *   font) plus the glyphs of the charset. Each char record's `index` is the
+ *   glyph index in the original font; `id` is its code point, or a private-use
+ *   code point for glyphs that have none. (default: null)
  * 
  * @returns {Promise<Object>} Result object with texture and metrics
  */
@@ -53,7 +115,8 @@ export async function generateAtlas(options) {
     pot = false,
     square = false,
     border = 2,
-    spacing = 1
+    spacing = 1,
+    glyphIndices = null
   } = options;
 
   console.log(`[MSDF API] Generating ${fieldType.toUpperCase()} atlas from: ${fontPath}`);
@@ -78,6 +141,19 @@ export async function generateAtlas(options) {
   };
 
   try {
+    // For shaper atlases, generate from a copy of the font that exposes
+    // every requested glyph through a private-use code point
+    let sourcePath = fontPath;
+    let glyphUnicodes = null;
+    if (glyphIndices) {
+      sourcePath = `${outputName}-glyphs.otf`;
+      glyphUnicodes = await buildGlyphIndexFont(fontPath, glyphIndices, charset, sourcePath);
+      console.log(`[MSDF API] Glyph-indexed atlas: ${glyphUnicodes.size} glyphs`);
+    }
+    const atlasCharset = glyphUnicodes
+      ? [...glyphUnicodes.keys()].map(index => String.fromCodePoint(GLYPH_INDEX_BASE + index)).join('')
+      : charset;
+
     // Build command line arguments for msdf-bmfont CLI
     const args = [
       '-f', outputFormat,
@@ -86,17 +162,17 @@ export async function generateAtlas(options) {
       '-r', distanceRange.toString(),
       '-t', fieldType,
       '-o', `${outputName}.png`,
-      fontPath
+      sourcePath
     ];
     
     if (fontSize) {
       args.push('-s', fontSize.toString());
     }
     
-    if (charset) {
+    if (atlasCharset) {
       // Write charset to a temp file
       const charsetFile = `${outputName}-charset.txt`;
-      await writeFile(charsetFile, charset);
+      await writeFile(charsetFile, atlasCharset);
       args.push('-i', charsetFile);
     }
     
@@ -111,24 +187,45 @@ export async function generateAtlas(options) {
     console.log(`[MSDF API] CLI output:`, stdout);
     if (stderr) console.error(`[MSDF API] CLI stderr:`, stderr);
     
-    // The CLI writes files named after the font file basename
-    const fontBasename = basename(fontPath, extname(fontPath));
+    // The CLI writes the JSON named after the font file basename, and one
+    // PNG per atlas page: `${outputName}.png`, or `${outputName}.<page>.png`
+    // when the glyphs overflow a single texture
+    const fontBasename = basename(sourcePath, extname(sourcePath));
     const jsonFilePath = `${fontBasename}.json`;
-    const pngFilePath = `${outputName}.png`;
+    const jsonData = JSON.parse(await readFile(jsonFilePath, 'utf8'));
+    const pngFilePaths = jsonData.pages?.length ? jsonData.pages : [`${outputName}.png`];
     
-    console.log(`[MSDF API] Reading generated files: PNG=${pngFilePath}, JSON=${jsonFilePath}`);
+    console.log(`[MSDF API] Reading generated files: PNG=${pngFilePaths.join(', ')}, JSON=${jsonFilePath}`);
     
-    // Read the generated files
-    const [pngBuffer, jsonContent] = await Promise.all([
-      readFile(pngFilePath),
-      readFile(jsonFilePath, 'utf8')
-    ]);
-    
-    const jsonData = JSON.parse(jsonContent);
-    console.log(`[MSDF API] Generated successfully with ${jsonData.chars?.length || 0} chars`);
+    const pngBuffers = await Promise.all(pngFilePaths.map(file => readFile(file)));
+    console.log(`[MSDF API] Generated successfully with ${jsonData.chars?.length || 0} chars on ${pngBuffers.length} page(s)`);
+
+    // msdf-bmfont stores UTF-16 code units as ids; use full code points
+    for (const charData of jsonData.chars || []) {
+      if (charData.char) charData.id = charData.char.codePointAt(0);
+    }
+
+    if (glyphUnicodes) {
+      // Point char records back at the original font's glyph indices
+      for (const charData of jsonData.chars || []) {
+        const index = charData.id - GLYPH_INDEX_BASE;
+        const unicode = glyphUnicodes.get(index);
+        if (unicode === undefined) continue;
+        charData.index = index;
+        if (unicode >= 0) {
+          charData.id = unicode;
+          charData.char = String.fromCodePoint(unicode);
+        }
+      }
+      // Kerning is applied by the shaper; private-use pairs are meaningless
+      jsonData.kernings = [];
+      jsonData.info.glyphIndexed = true;
+      await unlink(sourcePath).catch(() => {});
+    }
+    await writeFile(jsonFilePath, JSON.stringify(jsonData));
     
     // Clean up charset file if we created one
-    if (charset) {
+    if (atlasCharset) {
       await unlink(`${outputName}-charset.txt`).catch(() => {});
     }
     
@@ -136,10 +233,12 @@ export async function generateAtlas(options) {
       success: true,
       outputName,
       outputFormat,
-      texture: pngBuffer, // PNG Buffer
+      texture: pngBuffers[0], // PNG Buffer (first page)
+      textures: pngBuffers, // PNG Buffers, one per page (see data.pages)
       data: jsonData, // Metadata object
       jsonFile: jsonFilePath, // For cleanup
-      pngFile: pngFilePath // For cleanup
+      pngFile: pngFilePaths[0], // For cleanup
+      pngFiles: pngFilePaths // For cleanup
     };
   } catch (error) {
     console.error(`[MSDF API] Generation failed:`, error);
@@ -166,12 +265,12 @@ export async function generateAndSave(options) {
   const result = await generateAtlas(options);
   
   const files = {
-    textures: [`${outputName}.png`],
+    textures: result.pngFiles,
     data: `${outputName}.${outputFormat}`
   };
   
   console.log(`[MSDF API] Files generated:`);
-  console.log(`[MSDF API] - Texture: ${files.textures[0]}`);
+  console.log(`[MSDF API] - Texture: ${files.textures.join(', ')}`);
   console.log(`[MSDF API] - Data: ${files.data}`);
   
   return files;
@@ -8,18 +8,198 @@
  */
 
 import * as THREE from 'three';
-import { msdfVertexShader, msdfFragmentShader } from './shaders.js';
+import {
+  msdfVertexShader, msdfFragmentShader, msdfSamplerChunk, msdfGlyphTransformChunk, msdfAnimationChunk,
+  msdfBillboardChunk, msdfShadowVertexChunk, msdfShadowFragmentChunk, msdfStrokeChunk, msdfClipChunk,
+  animationPresets
+} from './shaders.js';
+import { parseRichText, layoutText, layoutDefaults } from './textLayout.js';
+import { layoutOnPath } from './pathLayout.js';
+
+export { measureText } from './textLayout.js';
+export { animationPresets } from './shaders.js';
+
+// Thickness multiplier for [b] (lower thickness = bolder)
+const BOLD_THICKNESS = 0.8;
+
+// Combined texture arrays for fallback chains, keyed by the primary atlas data
+const fontArrayCache = new WeakMap();
+
+// Live meshes per font object, for unloadFont / clearFontCache
+const fontRefs = new Map();
+
+// Fonts unloaded while still in use (freed with their last mesh), and fonts
+// whose texture has been freed
+const pendingUnloads = new Set();
+const unloadedFonts = new WeakSet();
+
+/**
+ * Log a development warning (MSDFString.devWarnings turns them off)
+ * @private
+ */
+function devWarn(message) {
+  if (MSDFString.devWarnings) console.warn(`MSDFString: ${message}`);
+}
+
+/**
+ * Readable name of a font for messages
+ * @private
+ */
+function getFontName(fontData) {
+  return fontData.name || fontData.data.info?.face || 'unnamed';
+}
+
+/**
+ * Animation preset id from a name or id
+ * @private
+ */
+function resolveAnimationPreset(preset) {
+  if (typeof preset === 'string' && Object.prototype.hasOwnProperty.call(animationPresets, preset)) return animationPresets[preset];
+  if (Object.values(animationPresets).includes(preset)) return preset;
+  throw new Error(`Unknown animation preset '${preset}'. Use one of: ${Object.keys(animationPresets).join(', ')}.`);
+}
+
+/**
+ * Count a mesh as a user of a font
+ * @private
+ */
+function retainFont(fontData) {
+  let ref = fontRefs.get(fontData);
+  if (!ref) {
+    if (unloadedFonts.has(fontData)) {
+      devWarn(`font '${getFontName(fontData)}' was unloaded but is used by a new mesh; load it again with MSDFString.loadFont()`);
+    }
+    ref = { count: 0 };
+    ref.onDispose = () => {
+      devWarn(`texture of font '${getFontName(fontData)}' was disposed while ${ref.count} mesh(es) still use it`);
+    };
+    fontData.texture.addEventListener('dispose', ref.onDispose);
+    fontRefs.set(fontData, ref);
+  }
+  ref.count++;
+}
+
+/**
+ * Drop a mesh's use of a font; frees it if it was unloaded while in use
+ * @private
+ */
+function releaseFont(fontData) {
+  const ref = fontRefs.get(fontData);
+  if (!ref || --ref.count > 0) return;
+
+  fontData.texture.removeEventListener('dispose', ref.onDispose);
+  fontRefs.delete(fontData);
+  if (pendingUnloads.delete(fontData)) freeFont(fontData);
+}
+
+/**
+ * Free a font texture that no mesh uses
+ * @private
+ */
+function freeFont(fontData) {
+  unloadedFonts.add(fontData);
+  fontData.texture.dispose();
+}
+
+/**
+ * Drop a mesh's use of a fallback texture array; frees it with its last mesh
+ * @private
+ */
+function releaseFontArray(fontArray, primaryData) {
+  if (--fontArray.users > 0) return;
+
+  const chains = fontArrayCache.get(primaryData) || [];
+  fontArrayCache.set(primaryData, chains.filter((entry) => entry.atlas !== fontArray));
+  fontArray.texture.dispose();
+}
+
+/**
+ * Whether two laid-out quads produce the same instance (matrix and glyph)
+ * @private
+ */
+function isSameQuad(a, b) {
+  return a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height &&
+    a.glyph === b.glyph && a.font === b.font;
+}
+
+// Unused instances are parked far behind the camera at zero scale
+const PARKED_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0).setPosition(0, 0, -10000);
+
+// Scratch copy of one instance (matrix, uv rect, page) for change detection
+const _previous = new Float32Array(21);
+
+// Scratch objects for the bounding volumes
+const _instanceMatrix = new THREE.Matrix4();
+const _instanceBox = new THREE.Box3();
+
+// Scratch objects for composing per-glyph transforms (see _getGlyphMatrix)
+const _glyphTransform = new THREE.Matrix4();
+const _glyphEuler = new THREE.Euler();
+const _glyphSize = new THREE.Vector3();
+
+// Scratch objects for hit testing
+const _inverseMatrix = new THREE.Matrix4();
+const _localRay = new THREE.Ray();
+const _quadRay = new THREE.Ray();
+const _quadPoint = new THREE.Vector3();
+const _textPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+
+// Scratch viewport for screen-size text
+const _viewport = new THREE.Vector4();
+
+// Default duration (s) and amplitude of each animation preset (see setAnimation)
+const ANIMATION_DEFAULTS = {
+  fadeIn: { duration: 0.4, amplitude: 1 },
+  wave: { duration: 1.5, amplitude: 0.15 },   // Period; height in em
+  pop: { duration: 0.35, amplitude: 1 },      // Overshoot
+  slide: { duration: 0.5, amplitude: 0.5 },   // Distance in em
+  colorCycle: { duration: 3, amplitude: 1 }   // Period; colour strength 0-1
+};
+
+// Drop shadow defaults (see setShadow); offset and softness in em
+const SHADOW_DEFAULTS = Object.freeze({
+  offset: [0.05, -0.05],
+  softness: 0.05,
+  color: '#000000',
+  opacity: 0.6
+});
+
+// Shader defines for the billboard modes (see msdfBillboardChunk)
+const BILLBOARD_DEFINES = {
+  none: null,
+  spherical: 'MSDF_BILLBOARD_SPHERICAL',
+  cylindrical: 'MSDF_BILLBOARD_CYLINDRICAL'
+};
+
+// Layout properties stored on each instance (see setText); the shaper,
+// fallback fonts and missing-glyph handlers are separate fields
+const TEXT_LAYOUT_PROPERTIES = [
+  'fontSize', 'align', 'direction', 'lineHeight', 'kerning', 'maxWidth', 'wordWrap', 'maxLines', 'overflow',
+  'anchorX', 'anchorY', 'fontMetrics', 'letterSpacing', 'wordSpacing', 'replacementChar'
+];
+const LAYOUT_PROPERTY_DEFAULTS = Object.freeze({
+  ...Object.fromEntries(TEXT_LAYOUT_PROPERTIES.map((name) => [name, layoutDefaults[name]])),
+  path: null,
+  pathAlign: 'start',
+  pathOffset: 0,
+  pathUp: new THREE.Vector3(0, 0, 1)
+});
 
 export class MSDFString extends THREE.InstancedMesh {
   // Static font cache
   static fontCache = new Map();
   static defaultBasePath = '/atlases';
+
+  // Warn about fonts disposed or unloaded while meshes still use them
+  static devWarnings = true;
   
   /**
    * Load and cache a font atlas (async)
+   * Single-page atlases load `${fontName}.png`; multi-page atlases load every
+   * image listed in the JSON `pages` array into one texture array.
    * @param {string} fontName - Name of the font (e.g., 'Montserrat-Bold')
    * @param {string} basePath - Base path to atlases folder (default: '/atlases')
-   * @returns {Promise<{texture: THREE.Texture, data: Object}>}
+   * @returns {Promise<{name: string, texture: THREE.Texture, data: Object}>}
    */
   static async loadFont(fontName, basePath = MSDFString.defaultBasePath) {
     // Check if already cached
@@ -27,9 +207,17 @@ export class MSDFString extends THREE.InstancedMesh {
       return MSDFString.fontCache.get(fontName);
     }
 
-    // Load texture and JSON in parallel
-    const [texture, data] = await Promise.all([
-      new Promise((resolve, reject) => {
+    const data = await fetch(`${basePath}/${fontName}.json`).then(res => res.json());
+
+    let texture;
+    if (data.pages && data.pages.length > 1) {
+      const loader = new THREE.ImageLoader();
+      const images = await Promise.all(
+        data.pages.map(page => loader.loadAsync(`${basePath}/${page}`))
+      );
+      texture = MSDFString.createPageArrayTexture(images);
+    } else {
+      texture = await new Promise((resolve, reject) => {
         const loader = new THREE.TextureLoader();
         loader.load(
           `${basePath}/${fontName}.png`,
@@ -44,15 +232,102 @@ export class MSDFString extends THREE.InstancedMesh {
           undefined,
           reject
         );
-      }),
-      fetch(`${basePath}/${fontName}.json`).then(res => res.json())
-    ]);
+      });
+    }
 
-    const fontData = { texture, data };
+    const fontData = { name: fontName, texture, data };
     MSDFString.fontCache.set(fontName, fontData);
     return fontData;
   }
 
+  /**
+   * Pack atlas page images into one texture array (one layer per page).
+   * All pages of an atlas share the `common.scaleW` x `common.scaleH` size;
+   * smaller images are placed in the top-left corner of their layer.
+   * @param {Array<HTMLImageElement|ImageBitmap|HTMLCanvasElement|Object>} images - Page
+   *   images in page order, or raw RGBA layers {data, width, height}
+   * @returns {THREE.DataArrayTexture}
+   */
+  static createPageArrayTexture(images) {
+    const width = Math.max(...images.map(image => image.width));
+    const height = Math.max(...images.map(image => image.height));
+    const layerSize = width * height * 4;
+    const pixels = new Uint8Array(layerSize * images.length);
+    let ctx = null;
+
+    images.forEach((image, layer) => {
+      // Raw layers are copied row by row
+      if (image.data) {
+        for (let y = 0; y < image.height; y++) {
+          const row = image.data.subarray(y * image.width * 4, (y + 1) * image.width * 4);
+          pixels.set(row, layer * layerSize + y * width * 4);
+        }
+        return;
+      }
+
+      // Images are read back through a 2D canvas
+      if (!ctx) {
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+          ? new OffscreenCanvas(width, height)
+          : Object.assign(document.createElement('canvas'), { width, height });
+        ctx = canvas.getContext('2d', { willReadFrequently: true });
+      }
+      ctx.clearRect(0, 0, width, height);
+      ctx.drawImage(image, 0, 0);
+      pixels.set(ctx.getImageData(0, 0, width, height).data, layer * layerSize);
+    });
+
+    const texture = new THREE.DataArrayTexture(pixels, width, height, images.length);
+    texture.colorSpace = THREE.NoColorSpace;
+    texture.minFilter = THREE.LinearMipMapLinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.generateMipmaps = true;
+    texture.needsUpdate = true;
+    return texture;
+  }
+
+  /**
+   * Pack the pages of several fonts into one texture array, so a primary font
+   * and its fallbacks render from a single material. Arrays are cached per
+   * font chain.
+   * @param {Array<{texture: THREE.Texture, data: Object}>} fonts - Primary font first
+   * @returns {{texture: THREE.DataArrayTexture, width: number, height: number, pageOffsets: Map<Object, number>}}
+   *   `pageOffsets` maps each font's `data` to the layer of its first page
+   */
+  static createFontArrayTexture(fonts) {
+    const chains = fontArrayCache.get(fonts[0].data) || [];
+    const cached = chains.find((entry) =>
+      entry.fonts.length === fonts.length && entry.fonts.every((data, i) => data === fonts[i].data)
+    );
+    if (cached) return cached.atlas;
+
+    const images = [];
+    const pageOffsets = new Map();
+    for (const font of fonts) {
+      pageOffsets.set(font.data, images.length);
+      const { image } = font.texture;
+      if (font.texture.isDataArrayTexture) {
+        // One raw RGBA layer per page
+        const layerSize = image.width * image.height * 4;
+        for (let layer = 0; layer < image.depth; layer++) {
+          images.push({
+            data: image.data.subarray(layer * layerSize, (layer + 1) * layerSize),
+            width: image.width,
+            height: image.height
+          });
+        }
+      } else {
+        images.push(image);
+      }
+    }
+
+    const texture = MSDFString.createPageArrayTexture(images);
+    const atlas = { texture, width: texture.image.width, height: texture.image.height, pageOffsets, users: 0 };
+    chains.push({ fonts: fonts.map((font) => font.data), atlas });
+    fontArrayCache.set(fonts[0].data, chains);
+    return atlas;
+  }
+
   /**
    * Get a cached font (synchronous)
    * @param {string} fontName - Name of the font
@@ -63,15 +338,32 @@ export class MSDFString extends THREE.InstancedMesh {
   }
 
   /**
-   * Clear font cache (useful for cleanup)
+   * Remove a font from the cache and free its texture. A font that live
+   * meshes still use is freed when the last of them is disposed.
+   * @param {string} fontName - Name of the font
+   * @returns {boolean} Whether the texture was freed now
+   */
+  static unloadFont(fontName) {
+    const fontData = MSDFString.fontCache.get(fontName);
+    if (!fontData) return false;
+
+    MSDFString.fontCache.delete(fontName);
+    if (fontRefs.has(fontData)) {
+      pendingUnloads.add(fontData);
+      return false;
+    }
+    freeFont(fontData);
+    return true;
+  }
+
+  /**
+   * Unload every cached font (useful for cleanup). Fonts still in use are
+   * freed when their last mesh is disposed.
    */
   static clearFontCache() {
-    for (const [name, fontData] of MSDFString.fontCache) {
-      if (fontData.texture) {
-        fontData.texture.dispose();
-      }
+    for (const fontName of [...MSDFString.fontCache.keys()]) {
+      MSDFString.unloadFont(fontName);
     }
-    MSDFString.fontCache.clear();
   }
 
   constructor(options = {}) {
@@ -83,9 +375,23 @@ export class MSDFString extends THREE.InstancedMesh {
       thickness = 0.5,          // Global thickness
       outlineThickness = 0.0,   // Global outline thickness
       maxLength = null,         // Max character capacity (auto if null)
-      material = null           // Optional: existing Three.js material to inject MSDF into
+      material = null,          // Optional: existing Three.js material to inject MSDF into
+      shaper = null,            // Optional: text shaper, e.g. createHarfBuzzShaper()
+      fallbackFonts = [],       // Fonts (objects or names) for glyphs missing from `font`
+      missingGlyph = 'fallback', // 'fallback', 'replacement' or 'report'
+      onMissingGlyph = null,    // Called with the missing code points after each layout
+      billboard = 'none',       // 'none', 'spherical' or 'cylindrical' (face the camera)
+      sizeAttenuation = true,   // false keeps a constant size on screen
+      pixelSize = 16,           // Height of one fontSize in CSS pixels (sizeAttenuation: false)
+      frustumCulled = billboard === 'none' && sizeAttenuation, // false for effects that move glyphs every frame
+      shadow = null,            // Drop shadow options (see setShadow)
+      strokes = null            // Stacked stroke layers (see setStrokes)
     } = options;
 
+    if (!(billboard in BILLBOARD_DEFINES)) {
+      throw new Error(`Unknown billboard mode '${billboard}'. Use 'none', 'spherical' or 'cylindrical'.`);
+    }
+
     // Handle font parameter - can be an object or a string name
     let fontData;
     if (typeof font === 'string') {
@@ -101,35 +407,65 @@ export class MSDFString extends THREE.InstancedMesh {
       throw new Error('MSDFString requires either a font name (string) or font object with {texture, data}');
     }
 
+    const fallbacks = fallbackFonts.map((fallback) => {
+      if (typeof fallback !== 'string') return fallback;
+      const fallbackData = MSDFString.getFont(fallback);
+      if (!fallbackData) {
+        throw new Error(`Fallback font '${fallback}' not loaded. Call MSDFString.loadFont('${fallback}') first.`);
+      }
+      return fallbackData;
+    });
+
+    // Fallback chains render from one texture array holding every font's pages
+    const fontArray = fallbacks.length
+      ? MSDFString.createFontArrayTexture([fontData, ...fallbacks])
+      : null;
+    const texture = fontArray ? fontArray.texture : fontData.texture;
+
     const capacity = maxLength || Math.max(text.length, 100);
     
     // Create base geometry
     const geometry = new THREE.PlaneGeometry(1, 1);
+
+    // Multi-page atlases are sampled from a texture array
+    const defines = texture.isDataArrayTexture ? { MSDF_PAGES: '' } : {};
     
     // Create or modify material
     let finalMaterial;
     if (material) {
-      // User provided a material - inject MSDF functionality using onBeforeCompile
+      // User provided a material - MSDF is injected once `this` exists (below)
       finalMaterial = material.clone();
-      this._injectMSDFIntoMaterial(finalMaterial, fontData, {
-        color: new THREE.Color(color),
-        outlineColor: new THREE.Color(outlineColor),
-        thickness,
-        outlineThickness
-      });
     } else {
       // No material provided - use custom ShaderMaterial (original behavior)
       finalMaterial = new THREE.ShaderMaterial({
         uniforms: {
-          msdfTexture: { value: fontData.texture },
+          msdfTexture: { value: texture },
           // Global controls (applied to ALL characters)
           globalColor: { value: new THREE.Color(color) },
           globalOutlineColor: { value: new THREE.Color(outlineColor) },
           globalThickness: { value: thickness },
           globalOutlineThickness: { value: outlineThickness },
           globalSmoothness: { value: 0.05 },
-          globalGlowMode: { value: 0.0 } // 0.0 = hard outline, 1.0 = glow
+          globalGlowMode: { value: 1.0 }, // 0.0 = hard outline, 1.0 = glow (default look)
+          // Constant screen size (updated before each render)
+          msdfPixelScale: { value: 1.0 },
+          msdfViewportHeight: { value: 1.0 },
+          // Overflow clip box in layout units (see setText overflow)
+          msdfClipRect: { value: new THREE.Vector4() },
+          // Animation clock and em size (see setAnimation)
+          msdfTime: { value: 0.0 },
+          msdfEm: { value: 1.0 },
+          // Drop shadow (see setShadow)
+          globalShadowColor: { value: new THREE.Color(SHADOW_DEFAULTS.color) },
+          globalShadowOpacity: { value: SHADOW_DEFAULTS.opacity },
+          globalShadowOffset: { value: new THREE.Vector2(...SHADOW_DEFAULTS.offset) },
+          globalShadowSoftness: { value: SHADOW_DEFAULTS.softness },
+          msdfPixelRatio: { value: 1.0 },
+          // Stroke layer stack (see setStrokes)
+          msdfStrokeColors: { value: [] },
+          msdfStrokeParams: { value: [] }
         },
+        defines,
         vertexShader: msdfVertexShader,
         fragmentShader: msdfFragmentShader,
         transparent: true,
@@ -140,16 +476,73 @@ export class MSDFString extends THREE.InstancedMesh {
 
     super(geometry, finalMaterial, capacity);
 
+    if (material) {
+      // Inject MSDF functionality using onBeforeCompile
+      finalMaterial.defines = { ...finalMaterial.defines, ...defines };
+      this._injectMSDFIntoMaterial(finalMaterial, texture, {
+        color: new THREE.Color(color),
+        outlineColor: new THREE.Color(outlineColor),
+        thickness,
+        outlineThickness
+      });
+    }
+
     // Store font data
     this.font = fontData;
     this.capacity = capacity;
     this._text = '';
-    this._glyphMap = new Map();
-    
-    // Build glyph map
-    for (const charData of fontData.data.chars) {
-      this._glyphMap.set(String.fromCharCode(charData.id), charData);
-    }
+    this._lineCount = 0;
+    this._layout = null; // Last layout from textLayout.layoutText
+    this._layoutPath = null; // Curve of the last layout
+    this._instancesMatchLayout = false; // Instances hold exactly _layout's quads
+    this._truncated = false;
+    this._spans = [];    // Rich text spans of the last layout
+    this._stringToInstance = null;
+    this._instanceToString = null;
+
+    // Layout properties, kept between setText calls (fontSize, align, ...)
+    this._layoutOptions = { ...LAYOUT_PROPERTY_DEFAULTS, pathUp: LAYOUT_PROPERTY_DEFAULTS.pathUp.clone() };
+    this._storeLayoutOptions(options);
+
+    // Optional shaper (glyphs are then resolved by glyph index)
+    this.shaper = shaper;
+
+    // Missing glyph handling (see setText)
+    this.fallbackFonts = fallbacks;
+    this.missingGlyph = missingGlyph;
+    this.onMissingGlyph = onMissingGlyph;
+    this._fontArray = fontArray;
+
+    // Bounds follow the glyphs (see computeBoundingBox); culling can be
+    // turned off for meshes whose glyphs move every frame. Billboards and
+    // screen-size text are placed in the vertex shader, so their bounds don't
+    // apply and culling is off by default.
+    this.frustumCulled = frustumCulled;
+
+    // Camera-facing and constant screen size modes (see setBillboard)
+    this.billboard = 'none';
+    this.sizeAttenuation = true;
+    this.pixelSize = pixelSize;
+    this.setBillboard(billboard);
+    this.setSizeAttenuation(sizeAttenuation, pixelSize);
+
+    // GPU animation playback (see setAnimation)
+    this.animationTime = 0;
+    this.animationSpeed = 1;
+    this.animationPlaying = false;
+
+    // Drop shadow (see setShadow)
+    this.shadowUnits = 'em';
+    if (shadow) this.setShadow(shadow);
+
+    // Stroke layers (see setStrokes)
+    this._strokes = [];
+    if (strokes) this.setStrokes(strokes);
+
+    // Fonts stay loaded while this mesh uses them (see dispose)
+    this._disposed = false;
+    for (const usedFont of [fontData, ...fallbacks]) retainFont(usedFont);
+    if (fontArray) fontArray.users++;
 
     // Create per-instance attribute buffers
     const uvOffset = new Float32Array(capacity * 4);        // UV rect per char
@@ -157,12 +550,26 @@ export class MSDFString extends THREE.InstancedMesh {
     const instanceOutlineColor = new Float32Array(capacity * 4); // RGBA outline per char
     const instanceThickness = new Float32Array(capacity * 2); // [thickness, outlineThickness] per char
     const instanceGlowMode = new Float32Array(capacity);    // Glow mode per char (0.0 or 1.0)
+    const instancePage = new Float32Array(capacity);        // Atlas page per char
+    const instanceOffset = new Float32Array(capacity * 3);  // Per-glyph offset (see setCharacterOffset)
+    const instanceRotation = new Float32Array(capacity * 3); // Per-glyph rotation
+    const instanceScale = new Float32Array(capacity * 2).fill(1.0); // Per-glyph scale
+    const instanceAnimation = new Float32Array(capacity * 4); // [preset, delay, duration, amplitude]
+    const instanceShadowColor = new Float32Array(capacity * 4).fill(1.0); // Shadow RGBA multipliers
+    const instanceShadow = new Float32Array(capacity * 2).fill(1.0); // [offset, softness] multipliers
 
     geometry.setAttribute('uvOffset', new THREE.InstancedBufferAttribute(uvOffset, 4));
     geometry.setAttribute('instanceColor', new THREE.InstancedBufferAttribute(instanceColor, 4));
     geometry.setAttribute('instanceOutlineColor', new THREE.InstancedBufferAttribute(instanceOutlineColor, 4));
     geometry.setAttribute('instanceThickness', new THREE.InstancedBufferAttribute(instanceThickness, 2));
     geometry.setAttribute('instanceGlowMode', new THREE.InstancedBufferAttribute(instanceGlowMode, 1));
+    geometry.setAttribute('instancePage', new THREE.InstancedBufferAttribute(instancePage, 1));
+    geometry.setAttribute('instanceOffset', new THREE.InstancedBufferAttribute(instanceOffset, 3));
+    geometry.setAttribute('instanceRotation', new THREE.InstancedBufferAttribute(instanceRotation, 3));
+    geometry.setAttribute('instanceScale', new THREE.InstancedBufferAttribute(instanceScale, 2));
+    geometry.setAttribute('instanceAnimation', new THREE.InstancedBufferAttribute(instanceAnimation, 4));
+    geometry.setAttribute('instanceShadowColor', new THREE.InstancedBufferAttribute(instanceShadowColor, 4));
+    geometry.setAttribute('instanceShadow', new THREE.InstancedBufferAttribute(instanceShadow, 2));
 
     // Initialize all characters to white with full opacity and default thickness
     for (let i = 0; i < capacity; i++) {
@@ -192,16 +599,28 @@ export class MSDFString extends THREE.InstancedMesh {
    * Inject MSDF rendering into an existing Three.js material using onBeforeCompile
    * @private
    */
-  _injectMSDFIntoMaterial(material, fontData, params) {
+  _injectMSDFIntoMaterial(material, texture, params) {
     // Add MSDF uniforms to the material
     material.uniforms = material.uniforms || {};
-    material.uniforms.msdfTexture = { value: fontData.texture };
+    material.uniforms.msdfTexture = { value: texture };
     material.uniforms.globalColor = { value: params.color };
     material.uniforms.globalOutlineColor = { value: params.outlineColor };
     material.uniforms.globalThickness = { value: params.thickness };
     material.uniforms.globalOutlineThickness = { value: params.outlineThickness };
     material.uniforms.globalSmoothness = { value: 0.05 };
     material.uniforms.globalGlowMode = { value: 0.0 };
+    material.uniforms.msdfPixelScale = { value: 1.0 };
+    material.uniforms.msdfViewportHeight = { value: 1.0 };
+    material.uniforms.msdfClipRect = { value: new THREE.Vector4() };
+    material.uniforms.msdfTime = { value: 0.0 };
+    material.uniforms.msdfEm = { value: 1.0 };
+    material.uniforms.globalShadowColor = { value: new THREE.Color(SHADOW_DEFAULTS.color) };
+    material.uniforms.globalShadowOpacity = { value: SHADOW_DEFAULTS.opacity };
+    material.uniforms.globalShadowOffset = { value: new THREE.Vector2(...SHADOW_DEFAULTS.offset) };
+    material.uniforms.globalShadowSoftness = { value: SHADOW_DEFAULTS.softness };
+    material.uniforms.msdfPixelRatio = { value: 1.0 };
+    material.uniforms.msdfStrokeColors = { value: [] };
+    material.uniforms.msdfStrokeParams = { value: [] };
 
     // Mark material as needing transparency
     material.transparent = true;
@@ -216,6 +635,18 @@ export class MSDFString extends THREE.InstancedMesh {
       shader.uniforms.globalOutlineThickness = material.uniforms.globalOutlineThickness;
       shader.uniforms.globalSmoothness = material.uniforms.globalSmoothness;
       shader.uniforms.globalGlowMode = material.uniforms.globalGlowMode;
+      shader.uniforms.msdfPixelScale = material.uniforms.msdfPixelScale;
+      shader.uniforms.msdfViewportHeight = material.uniforms.msdfViewportHeight;
+      shader.uniforms.msdfClipRect = material.uniforms.msdfClipRect;
+      shader.uniforms.msdfTime = material.uniforms.msdfTime;
+      shader.uniforms.msdfEm = material.uniforms.msdfEm;
+      shader.uniforms.globalShadowColor = material.uniforms.globalShadowColor;
+      shader.uniforms.globalShadowOpacity = material.uniforms.globalShadowOpacity;
+      shader.uniforms.globalShadowOffset = material.uniforms.globalShadowOffset;
+      shader.uniforms.globalShadowSoftness = material.uniforms.globalShadowSoftness;
+      shader.uniforms.msdfPixelRatio = material.uniforms.msdfPixelRatio;
+      shader.uniforms.msdfStrokeColors = material.uniforms.msdfStrokeColors;
+      shader.uniforms.msdfStrokeParams = material.uniforms.msdfStrokeParams;
 
       // Inject instance attributes in vertex shader
       shader.vertexShader = shader.vertexShader.replace(
@@ -226,12 +657,51 @@ export class MSDFString extends THREE.InstancedMesh {
         attribute vec4 instanceOutlineColor;
         attribute vec2 instanceThickness;
         attribute float instanceGlowMode;
+        attribute float instancePage;
         
         varying vec2 vMsdfUv;
         varying vec4 vInstanceColor;
         varying vec4 vInstanceOutlineColor;
         varying vec2 vInstanceThickness;
         varying float vInstanceGlowMode;
+        #ifdef MSDF_PAGES
+          varying float vPage;
+        #endif
+        #ifdef MSDF_CLIP
+          varying vec2 vLayoutPosition;
+        #endif
+        ${msdfGlyphTransformChunk}
+        ${msdfAnimationChunk}
+        ${msdfBillboardChunk}
+        ${msdfShadowVertexChunk}
+        `
+      );
+
+      // Lighting follows the per-glyph rotation; billboards face the camera
+      shader.vertexShader = shader.vertexShader.replace(
+        '#include <defaultnormal_vertex>',
+        `#include <defaultnormal_vertex>
+        transformedNormal = normalize(normalMatrix * msdfGlyphNormal(objectNormal));
+        #ifdef FLIP_SIDED
+          transformedNormal = - transformedNormal;
+        #endif
+        #ifdef MSDF_BILLBOARD
+          transformedNormal = msdfViewNormal(transformedNormal);
+        #endif
+        `
+      );
+
+      // Per-glyph transform and layout placement, then billboard / screen-size
+      // placement or the standard projection
+      shader.vertexShader = shader.vertexShader.replace(
+        '#include <project_vertex>',
+        `vec4 mvPosition = vec4(msdfGlyphPosition(vec3(msdfQuadUv - 0.5, transformed.z), msdfAnim.offset, msdfAnim.scale), 1.0);
+        #if defined( MSDF_BILLBOARD ) || defined( MSDF_SCREEN_SIZE )
+          mvPosition = msdfViewPosition(mvPosition.xyz);
+        #else
+          mvPosition = modelViewMatrix * mvPosition;
+        #endif
+        gl_Position = projectionMatrix * mvPosition;
         `
       );
 
@@ -239,15 +709,24 @@ export class MSDFString extends THREE.InstancedMesh {
       shader.vertexShader = shader.vertexShader.replace(
         '#include <uv_vertex>',
         `#include <uv_vertex>
-        // Calculate MSDF UV coordinates for this glyph
+        // Calculate MSDF UV coordinates for this glyph (the quad grows past
+        // the glyph cell for a drop shadow)
+        vec2 msdfQuadUv = msdfShadowQuad(uv);
         vMsdfUv = vec2(
-          uvOffset.x + uv.x * uvOffset.z,
-          uvOffset.y + uv.y * uvOffset.w
+          uvOffset.x + msdfQuadUv.x * uvOffset.z,
+          uvOffset.y + msdfQuadUv.y * uvOffset.w
         );
-        vInstanceColor = instanceColor;
-        vInstanceOutlineColor = instanceOutlineColor;
+        MsdfAnimation msdfAnim = msdfAnimation();
+        vInstanceColor = instanceColor * msdfAnim.color;
+        vInstanceOutlineColor = instanceOutlineColor * vec4(1.0, 1.0, 1.0, msdfAnim.color.a);
         vInstanceThickness = instanceThickness;
         vInstanceGlowMode = instanceGlowMode;
+        #ifdef MSDF_PAGES
+          vPage = instancePage;
+        #endif
+        #ifdef MSDF_CLIP
+          vLayoutPosition = msdfGlyphPosition(vec3(msdfQuadUv - 0.5, position.z), msdfAnim.offset, msdfAnim.scale).xy;
+        #endif
         `
       );
 
@@ -255,7 +734,8 @@ export class MSDFString extends THREE.InstancedMesh {
       shader.fragmentShader = shader.fragmentShader.replace(
         '#include <common>',
         `#include <common>
-        uniform sampler2D msdfTexture;
+        ${msdfSamplerChunk}
+        ${msdfClipChunk}
         uniform vec3 globalColor;
         uniform vec3 globalOutlineColor;
         uniform float globalThickness;
@@ -272,6 +752,8 @@ export class MSDFString extends THREE.InstancedMesh {
         float median(float r, float g, float b) {
           return max(min(r, g), min(max(r, g), b));
         }
+        ${msdfShadowFragmentChunk}
+        ${msdfStrokeChunk}
         `
       );
 
@@ -281,7 +763,8 @@ export class MSDFString extends THREE.InstancedMesh {
         `#include <dithering_fragment>
         
         // MSDF text rendering
-        vec3 msd = texture2D(msdfTexture, vMsdfUv).rgb;
+        msdfClip();
+        vec3 msd = msdfShadowMask(sampleMSDF(vMsdfUv));
         float sd = median(msd.r, msd.g, msd.b);
         
         vec2 Jdx = dFdx(msd.rg);
@@ -309,6 +792,14 @@ export class MSDFString extends THREE.InstancedMesh {
         vec3 msdfColor;
         float msdfAlpha;
         
+        #ifdef MSDF_STROKE_LAYERS
+        // Stroke layers replace the single outline
+        msdfColor = fillColor;
+        msdfAlpha = innerAlpha;
+        msdfApplyStrokes(msdfColor, msdfAlpha, sd, innerEdge, w, vInstanceOutlineColor, vInstanceThickness.y, vInstanceGlowMode);
+        msdfAlpha *= vInstanceColor.a;
+        outerEdge = msdfStrokeOuterEdge(innerEdge, vInstanceThickness.y);
+        #else
         if (finalGlowMode > 0.5) {
           // Glow mode
           if (innerAlpha > 0.5) {
@@ -327,11 +818,17 @@ export class MSDFString extends THREE.InstancedMesh {
           msdfColor = mix(fillColor, outlineColorFinal, outlineMask);
           msdfAlpha = outerAlpha * vInstanceColor.a;
         }
+        #endif
         
-        if (msdfAlpha < 0.01) discard;
+        // Blend MSDF rendering with material's output; the drop shadow goes
+        // under the lit glyph
+        vec3 msdfLitColor = msdfColor * gl_FragColor.rgb;
+        float msdfLitAlpha = msdfAlpha * gl_FragColor.a;
+        msdfApplyShadow(msdfLitColor, msdfLitAlpha, outerEdge, vInstanceColor.a);
         
-        // Blend MSDF rendering with material's output
-        gl_FragColor = vec4(msdfColor * gl_FragColor.rgb, msdfAlpha * gl_FragColor.a);
+        if (msdfLitAlpha < 0.01) discard;
+        
+        gl_FragColor = vec4(msdfLitColor, msdfLitAlpha);
         `
       );
 
@@ -356,6 +853,13 @@ export class MSDFString extends THREE.InstancedMesh {
     const newInstanceOutlineColor = new Float32Array(newCapacity * 4);
     const newInstanceThickness = new Float32Array(newCapacity * 2);
     const newInstanceGlowMode = new Float32Array(newCapacity);
+    const newInstancePage = new Float32Array(newCapacity);
+    const newInstanceOffset = new Float32Array(newCapacity * 3);
+    const newInstanceRotation = new Float32Array(newCapacity * 3);
+    const newInstanceScale = new Float32Array(newCapacity * 2).fill(1.0);
+    const newInstanceAnimation = new Float32Array(newCapacity * 4);
+    const newInstanceShadowColor = new Float32Array(newCapacity * 4).fill(1.0);
+    const newInstanceShadow = new Float32Array(newCapacity * 2).fill(1.0);
     
     // Copy existing data
     const oldUvOffset = geometry.attributes.uvOffset.array;
@@ -363,12 +867,20 @@ export class MSDFString extends THREE.InstancedMesh {
     const oldInstanceOutlineColor = geometry.attributes.instanceOutlineColor.array;
     const oldInstanceThickness = geometry.attributes.instanceThickness.array;
     const oldInstanceGlowMode = geometry.attributes.instanceGlowMode.array;
+    const oldInstancePage = geometry.attributes.instancePage.array;
     
     newUvOffset.set(oldUvOffset);
     newInstanceColor.set(oldInstanceColor);
     newInstanceOutlineColor.set(oldInstanceOutlineColor);
     newInstanceThickness.set(oldInstanceThickness);
     newInstanceGlowMode.set(oldInstanceGlowMode);
+    newInstancePage.set(oldInstancePage);
+    newInstanceOffset.set(geometry.attributes.instanceOffset.array);
+    newInstanceRotation.set(geometry.attributes.instanceRotation.array);
+    newInstanceScale.set(geometry.attributes.instanceScale.array);
+    newInstanceAnimation.set(geometry.attributes.instanceAnimation.array);
+    newInstanceShadowColor.set(geometry.attributes.instanceShadowColor.array);
+    newInstanceShadow.set(geometry.attributes.instanceShadow.array);
     
     // Initialize new elements to default values
     for (let i = oldCapacity; i < newCapacity; i++) {
@@ -388,12 +900,27 @@ export class MSDFString extends THREE.InstancedMesh {
       newInstanceGlowMode[i] = 1.0;
     }
     
+    // Instance matrices: copy, and park the new instances
+    const newMatrices = new Float32Array(newCapacity * 16);
+    newMatrices.set(this.instanceMatrix.array);
+    for (let i = oldCapacity; i < newCapacity; i++) {
+      PARKED_MATRIX.toArray(newMatrices, i * 16);
+    }
+    this.instanceMatrix = new THREE.InstancedBufferAttribute(newMatrices, 16);
+
     // Update geometry attributes
     geometry.setAttribute('uvOffset', new THREE.InstancedBufferAttribute(newUvOffset, 4));
     geometry.setAttribute('instanceColor', new THREE.InstancedBufferAttribute(newInstanceColor, 4));
     geometry.setAttribute('instanceOutlineColor', new THREE.InstancedBufferAttribute(newInstanceOutlineColor, 4));
     geometry.setAttribute('instanceThickness', new THREE.InstancedBufferAttribute(newInstanceThickness, 2));
     geometry.setAttribute('instanceGlowMode', new THREE.InstancedBufferAttribute(newInstanceGlowMode, 1));
+    geometry.setAttribute('instancePage', new THREE.InstancedBufferAttribute(newInstancePage, 1));
+    geometry.setAttribute('instanceOffset', new THREE.InstancedBufferAttribute(newInstanceOffset, 3));
+    geometry.setAttribute('instanceRotation', new THREE.InstancedBufferAttribute(newInstanceRotation, 3));
+    geometry.setAttribute('instanceScale', new THREE.InstancedBufferAttribute(newInstanceScale, 2));
+    geometry.setAttribute('instanceAnimation', new THREE.InstancedBufferAttribute(newInstanceAnimation, 4));
+    geometry.setAttribute('instanceShadowColor', new THREE.InstancedBufferAttribute(newInstanceShadowColor, 4));
+    geometry.setAttribute('instanceShadow', new THREE.InstancedBufferAttribute(newInstanceShadow, 2));
     
     // Update capacity
     this.capacity = newCapacity;
@@ -402,97 +929,706 @@ export class MSDFString extends THREE.InstancedMesh {
   }
 
   /**
-   * Set the entire text string
+   * Set an instance's matrix. The bounding box and sphere are recomputed
+   * (by three.js, when next needed for culling or raycasting) afterwards.
+   * @param {number} index - Instance index
+   * @param {THREE.Matrix4} matrix - Instance matrix
+   */
+  setMatrixAt(index, matrix) {
+    super.setMatrixAt(index, matrix);
+    this._invalidateBounds();
+    this._instancesMatchLayout = false;
+  }
+
+  /**
+   * Box around the visible glyph quads, including per-glyph offsets,
+   * rotations and scales. Parked and empty instances (zero scale, e.g.
+   * spaces) are left out so they don't stretch the bounds.
+   */
+  computeBoundingBox() {
+    const geometry = this.geometry;
+    if (geometry.boundingBox === null) geometry.computeBoundingBox();
+    if (this.boundingBox === null) this.boundingBox = new THREE.Box3();
+
+    this.boundingBox.makeEmpty();
+    for (let i = 0; i < this.count; i++) {
+      this._getGlyphMatrix(i, _instanceMatrix);
+      if (_instanceMatrix.determinant() === 0) continue;
+      _instanceBox.copy(geometry.boundingBox).applyMatrix4(_instanceMatrix);
+      this.boundingBox.union(_instanceBox);
+    }
+  }
+
+  /**
+   * Sphere around the visible glyph quads (see computeBoundingBox)
+   */
+  computeBoundingSphere() {
+    if (this.boundingSphere === null) this.boundingSphere = new THREE.Sphere();
+    this.computeBoundingBox();
+    this.boundingBox.getBoundingSphere(this.boundingSphere);
+  }
+
+  /**
+   * Point an instance at an atlas glyph (UV rect and page) without moving it.
+   * Call `needsUpdate` on the uvOffset and instancePage attributes afterwards.
+   * @param {number} index - Instance index
+   * @param {Object} glyph - BMFont char record
+   * @param {Object} [font=this.font] - Font the glyph belongs to (the primary
+   *   font or one of the fallbackFonts)
+   */
+  setCharacterGlyph(index, glyph, font = this.font) {
+    // Fallback chains share one texture array sized to the largest page
+    const fontArray = this._fontArray;
+    const texW = fontArray ? fontArray.width : font.data.common.scaleW;
+    const texH = fontArray ? fontArray.height : font.data.common.scaleH;
+    const pageOffset = fontArray ? fontArray.pageOffsets.get(font.data) : 0;
+    const uvOffset = this.geometry.attributes.uvOffset.array;
+
+    uvOffset[index * 4 + 0] = glyph.x / texW;
+    uvOffset[index * 4 + 1] = (glyph.y + glyph.height) / texH;
+    uvOffset[index * 4 + 2] = glyph.width / texW;
+    uvOffset[index * 4 + 3] = -glyph.height / texH;
+    this.geometry.attributes.instancePage.array[index] = pageOffset + (glyph.page || 0);
+    this._instancesMatchLayout = false;
+  }
+
+  /**
+   * Set the entire text string.
+   * Layout options are stored on the mesh (see setLayout and the property
+   * accessors), so later calls keep them; shaper, missingGlyph and
+   * onMissingGlyph apply to this call only. The new layout is compared with
+   * the previous one: only the instances between the first and last changed
+   * glyph are rewritten and uploaded, and the bounds are recomputed lazily.
+   * @param {string} text - Text to display ('\n' forces a line break)
+   * @param {Object} options - Layout options (also accepted by the constructor)
+   * @param {number} [options.fontSize=1.0] - Font size in world units
+   * @param {string} [options.align='start'] - 'start', 'end', 'left', 'center', 'right' or
+   *   'justify' ('start'/'end' follow each paragraph's direction; 'justify' stretches
+   *   all but the last line of each paragraph to maxWidth, or to the widest line)
+   * @param {string} [options.direction='auto'] - Base direction: 'ltr', 'rtl' or 'auto'
+   *   ('auto' = first strong character of each paragraph)
+   * @param {number} [options.lineHeight=1.2] - Line height (multiple of fontSize)
+   * @param {boolean} [options.kerning=true] - Apply the atlas kerning table
+   * @param {number|null} [options.maxWidth=null] - Wrap width in world units (null = no wrapping)
+   * @param {string} [options.wordWrap='word'] - 'word', 'char' or 'none' (used with maxWidth)
+   * @param {number|null} [options.maxLines=null] - Keep at most this many lines
+   *   (null = all); the rest of the text is dropped
+   * @param {string} [options.overflow='visible'] - Lines wider than maxWidth (e.g. with
+   *   wordWrap 'none') and text cut by maxLines: 'visible' (lines run past maxWidth),
+   *   'clip' (glyphs are clipped to the maxWidth box in the shader) or 'ellipsis'
+   *   (cut lines end in '…'). See isTruncated
+   * @param {Object|null} [options.shaper=this.shaper] - Text shaper (null = plain glyph lookup)
+   * @param {string|null} [options.anchorX=null] - Block edge placed at x = 0: 'left',
+   *   'center' or 'right' (lines are then aligned within the widest line).
+   *   null = each line's alignment edge is at x = 0
+   * @param {string|null} [options.anchorY=null] - Block point placed at y = 0: 'top',
+   *   'middle', 'baseline' (of the first line) or 'bottom'. null = legacy centring
+   * @param {boolean} [options.fontMetrics=false] - Use the atlas line metrics
+   *   (common.lineHeight) for the line height instead of `lineHeight`
+   * @param {number} [options.letterSpacing=0] - Extra space after every character (em)
+   * @param {number} [options.wordSpacing=0] - Extra space after whitespace (em)
+   * @param {string} [options.missingGlyph=this.missingGlyph] - Characters missing from
+   *   the font: 'fallback' (first of the constructor's fallbackFonts that has them,
+   *   else a gap), 'replacement' (draw replacementChar) or 'report' (leave a gap)
+   * @param {string} [options.replacementChar='\uFFFD'] - Drawn for missing characters
+   *   ('?' when no font has it)
+   * @param {Function|null} [options.onMissingGlyph=this.onMissingGlyph] - Called with
+   *   (codePoints, text) when the primary font lacks characters, under every policy
+   * @param {THREE.Curve|null} [options.path=null] - Lay the text out along this
+   *   curve (2D curves lie in the XY plane). Layout x becomes distance along the
+   *   curve and layout y the sideways distance from it; anchorY defaults to
+   *   'baseline' so the first baseline follows the curve
+   * @param {string} [options.pathAlign='start'] - 'start', 'center' or 'end' of the curve
+   *   (also picks anchorX: 'left', 'center' or 'right')
+   * @param {number} [options.pathOffset=0] - Extra distance along the curve (world units)
+   * @param {THREE.Vector3} [options.pathUp=(0, 0, 1)] - Direction the text faces;
+   *   glyph tops point along pathUp × tangent
    */
   setText(text, options = {}) {
-    const {
-      fontSize = 1.0,
-      align = 'left',    // 'left', 'center', 'right'
-      lineHeight = 1.2
-    } = options;
+    this._storeLayoutOptions(options);
+
+    // Same plain text and layout, instances untouched since: nothing to do
+    if (this._layout && this._instancesMatchLayout && text === this._text &&
+        !this._spans.length && !Object.keys(options).length) {
+      return;
+    }
+    this._layoutText(text, options, []);
+  }
+
+  /**
+   * Change layout properties and lay the current text out again once.
+   * Each property also has an accessor (`textMesh.fontSize = 0.2`) that
+   * relayouts on its own.
+   * @param {Object} options - Layout properties (see setText)
+   */
+  setLayout(options) {
+    this._storeLayoutOptions(options);
+    this._layoutText(this._text, {}, this._spans);
+
+    // The instance mapping may have changed (wrapping, maxLines): restyle
+    if (this._spans.length) {
+      this.resetCharacterAttributes();
+      this._applyRichTextStyles(this._spans);
+    }
+  }
+
+  /**
+   * Current layout properties (a copy)
+   * @returns {Object}
+   */
+  getLayout() {
+    return { ...this._layoutOptions };
+  }
+
+  /**
+   * Remember the layout properties among `options`
+   * @private
+   */
+  _storeLayoutOptions(options) {
+    for (const name in LAYOUT_PROPERTY_DEFAULTS) {
+      if (options[name] !== undefined) this._layoutOptions[name] = options[name];
+    }
+  }
+
+  /**
+   * Set text with inline styling markup, e.g.
+   * `'Press [color=#ffcc00][b]Start[/b][/color] to [size=1.5]play[/size]'`.
+   *
+   * Supported tags: [color=c], [outline=c] or [outline=c,width], [size=s],
+   * [glow] and [b] (see parseRichText in textLayout.js). All per-character
+   * attributes are reset first, then every span is applied to the glyphs it
+   * covers. [size] scales glyphs and the height of the lines they are on.
+   * Glow is global × instance, so [glow] also switches the global glow mode on
+   * and turns it off for glyphs outside [glow] spans.
+   * @param {string} markup - Marked-up text
+   * @param {Object} [options] - Layout options (same as setText)
+   */
+  setRichText(markup, options = {}) {
+    const { text, spans } = parseRichText(markup);
+    this._storeLayoutOptions(options);
+    this._layoutText(text, options, spans);
+
+    this.resetCharacterAttributes();
+    this._applyRichTextStyles(spans);
+  }
+
+  /**
+   * Lay out text into glyph instances
+   * @private
+   * @param {string} text - Plain text
+   * @param {Object} options - Layout options (see setText)
+   * @param {Array<Object>} spans - Rich text spans from parseRichText
+   */
+  _layoutText(text, options, spans) {
+    const layoutOptions = {
+      shaper: this.shaper,
+      missingGlyph: this.missingGlyph,
+      onMissingGlyph: this.onMissingGlyph,
+      ...this._layoutOptions,
+      ...options,
+      // Only fonts packed into this mesh's texture can be drawn
+      fallbackFonts: this.fallbackFonts
+    };
+    const { path, pathAlign } = layoutOptions;
+    if (path) {
+      layoutOptions.anchorX = { start: 'left', center: 'center', end: 'right' }[pathAlign];
+      layoutOptions.anchorY = layoutOptions.anchorY ?? 'baseline';
+    }
+    const layout = layoutText(this.font, text, layoutOptions, spans);
+
+    // Instances still hold the previous layout's quads unless a path was
+    // involved or they were changed from outside (setMatrixAt, setCharacterGlyph)
+    const previousGlyphs = this._layout && this._instancesMatchLayout && !path && !this._layoutPath
+      ? this._layout.glyphs
+      : null;
 
     this._text = text;
+    this._spans = spans;
+    this._layout = layout;
+    this._lineCount = layout.lines.length;
+    this._truncated = layout.truncated;
+    this.material.uniforms.msdfEm.value = layoutOptions.fontSize ?? 1;
+    // Curved text is not clipped (the clip box is in straight layout space)
+    this._setClipRect(path ? null : layout.clipRect);
     
+    const geometry = this.geometry;
+    const dummy = new THREE.Object3D();
+    const glyphCount = layout.glyphs.length;
+    const previousCount = this.count;
+
     // Check if we need to resize
-    const textLength = text.length;
-    if (textLength > this.capacity) {
+    let resized = false;
+    if (glyphCount > this.capacity) {
       // Resize to accommodate the text with some buffer (1.5x the needed size)
-      const newCapacity = Math.ceil(textLength * 1.5);
+      const newCapacity = Math.ceil(glyphCount * 1.5);
       this._resize(newCapacity);
+      resized = true;
     }
-    
-    const lines = text.split('\n');
-    
-    const geometry = this.geometry;
-    const uvOffset = geometry.attributes.uvOffset.array;
-    const dummy = new THREE.Object3D();
-    
-    const texW = this.font.data.common.scaleW;
-    const texH = this.font.data.common.scaleH;
-    const scale = fontSize / this.font.data.info.size;
-    
-    let charIdx = 0;
 
-    for (let lineIdx = 0; lineIdx < lines.length; lineIdx++) {
-      const line = lines[lineIdx];
-      
-      // Calculate line width for alignment
-      let lineWidth = 0;
-      for (const char of line) {
-        const glyph = this._glyphMap.get(char);
-        if (glyph) {
-          lineWidth += glyph.xadvance * scale;
-        }
+    // Skip the quads that match the previous layout at both ends (e.g. a
+    // score where one digit changed), so only the run between the first and
+    // last changed instance is rewritten
+    let start = 0;
+    let end = glyphCount;
+    if (previousGlyphs) {
+      const common = Math.min(glyphCount, previousGlyphs.length);
+      while (start < common && isSameQuad(previousGlyphs[start], layout.glyphs[start])) start++;
+      if (glyphCount === previousGlyphs.length) {
+        while (end > start && isSameQuad(previousGlyphs[end - 1], layout.glyphs[end - 1])) end--;
+      }
+    }
+
+    // Write the glyph quads (matrix + atlas UVs), tracking which instances
+    // actually changed so only that range is uploaded
+    let first = Infinity;
+    let last = -1;
+    const pathMatrices = path ? layoutOnPath(layout, path, layoutOptions) : null;
+    for (let index = start; index < end; index++) {
+      const quad = layout.glyphs[index];
+      if (!pathMatrices) {
+        dummy.position.set(quad.x, quad.y, 0);
+        dummy.scale.set(quad.width, quad.height, 1);
+        dummy.updateMatrix();
       }
+      const matrix = pathMatrices ? pathMatrices[index] : dummy.matrix;
+      if (this._writeGlyphInstance(index, matrix, quad.glyph, quad.font)) {
+        first = Math.min(first, index);
+        last = index;
+      }
+    }
 
-      let xOffset = 0;
-      if (align === 'center') xOffset = -lineWidth / 2;
-      else if (align === 'right') xOffset = -lineWidth;
+    // Hide the instances the previous text used beyond the new count
+    for (let i = glyphCount; i < previousCount; i++) {
+      this.setMatrixAt(i, PARKED_MATRIX);
+      first = Math.min(first, i);
+      last = i;
+    }
 
-      const yOffset = (lines.length / 2 - lineIdx - 0.5) * lineHeight * fontSize;
+    // String offset <-> instance index maps (-1 = no instance)
+    this._stringToInstance = new Int32Array(text.length).fill(-1);
+    this._instanceToString = new Int32Array(glyphCount);
+    for (const cluster of layout.clusters) {
+      if (cluster.glyphCount === 0) continue;
+      this._stringToInstance.fill(cluster.instance, cluster.index, cluster.index + cluster.text.length);
+    }
+    layout.glyphs.forEach((quad, index) => {
+      this._instanceToString[index] = quad.stringIndex;
+    });
 
-      // Layout characters
-      for (const char of line) {
-        const glyph = this._glyphMap.get(char);
-        
-        if (!glyph) {
-          xOffset += fontSize * scale * 0.3;
-          continue;
+    this.count = glyphCount;
+    this._layoutPath = path;
+    this._instancesMatchLayout = true;
+    // Bounds are recomputed when next needed (culling, raycasting, hitTest)
+    if (last >= first) this._invalidateBounds();
+
+    const attributes = [this.instanceMatrix, geometry.attributes.uvOffset, geometry.attributes.instancePage];
+    for (const attribute of attributes) {
+      if (resized) {
+        // New buffers are uploaded whole
+        attribute.clearUpdateRanges();
+        attribute.needsUpdate = true;
+      } else if (last >= first) {
+        attribute.addUpdateRange(first * attribute.itemSize, (last - first + 1) * attribute.itemSize);
+        attribute.needsUpdate = true;
+      }
+    }
+  }
+
+  /**
+   * Clip glyphs to a box in layout units, or stop clipping (null)
+   * @private
+   */
+  _setClipRect(rect) {
+    if (rect) {
+      this.material.uniforms.msdfClipRect.value.set(rect.minX, rect.minY, rect.maxX, rect.maxY);
+    }
+    this._setDefine('MSDF_CLIP', Boolean(rect));
+  }
+
+  /**
+   * Turn a shader define on or off, recompiling the material when it changes
+   * @private
+   */
+  _setDefine(name, enabled, value = '') {
+    const material = this.material;
+    const defines = material.defines || (material.defines = {});
+    if (enabled ? defines[name] === value : !(name in defines)) return;
+
+    if (enabled) defines[name] = value;
+    else delete defines[name];
+    material.needsUpdate = true;
+  }
+
+  /**
+   * Write one glyph instance's matrix and atlas rect
+   * @private
+   * @returns {boolean} Whether anything changed
+   */
+  _writeGlyphInstance(index, matrix, glyph, font) {
+    const matrices = this.instanceMatrix.array;
+    const uvOffset = this.geometry.attributes.uvOffset.array;
+    const pages = this.geometry.attributes.instancePage.array;
+    _previous.set(matrices.subarray(index * 16, index * 16 + 16));
+    _previous.set(uvOffset.subarray(index * 4, index * 4 + 4), 16);
+    _previous[20] = pages[index];
+
+    this.setMatrixAt(index, matrix);
+    this.setCharacterGlyph(index, glyph, font);
+
+    for (let i = 0; i < 16; i++) {
+      if (matrices[index * 16 + i] !== _previous[i]) return true;
+    }
+    for (let i = 0; i < 4; i++) {
+      if (uvOffset[index * 4 + i] !== _previous[16 + i]) return true;
+    }
+    return pages[index] !== _previous[20];
+  }
+
+  /**
+   * Write rich text span styles into the per-instance attributes
+   * @private
+   * @param {Array<Object>} spans - Spans from parseRichText
+   */
+  _applyRichTextStyles(spans) {
+    const attributes = this.geometry.attributes;
+    const colors = attributes.instanceColor.array;
+    const outlineColors = attributes.instanceOutlineColor.array;
+    const thicknesses = attributes.instanceThickness.array;
+    const glowModes = attributes.instanceGlowMode.array;
+    const colorObj = new THREE.Color();
+
+    // Glow is opt-in per glyph as soon as the markup uses [glow]
+    const hasGlow = spans.some((span) => span.tag === 'glow');
+    if (hasGlow) {
+      glowModes.fill(0.0);
+      this.enableGlow();
+    }
+
+    for (const span of spans) {
+      const [value, width] = (span.value || '').split(',').map((part) => part.trim());
+      if ((span.tag === 'color' || span.tag === 'outline') && value) colorObj.set(value);
+
+      const [first, last] = this._getInstanceRange(span.start, span.end);
+      for (let i = first; i < last; i++) {
+        switch (span.tag) {
+          case 'color':
+            colors[i * 4 + 0] = colorObj.r;
+            colors[i * 4 + 1] = colorObj.g;
+            colors[i * 4 + 2] = colorObj.b;
+            break;
+          case 'outline':
+            if (value) {
+              outlineColors[i * 4 + 0] = colorObj.r;
+              outlineColors[i * 4 + 1] = colorObj.g;
+              outlineColors[i * 4 + 2] = colorObj.b;
+            }
+            if (width) thicknesses[i * 2 + 1] = parseFloat(width);
+            break;
+          case 'b':
+            thicknesses[i * 2 + 0] = value ? parseFloat(value) : BOLD_THICKNESS;
+            break;
+          case 'glow':
+            glowModes[i] = 1.0;
+            break;
         }
+      }
+    }
+  }
 
-        const glyphWidth = glyph.width * scale;
-        const glyphHeight = glyph.height * scale;
-        const xPos = xOffset + glyph.xoffset * scale + glyphWidth / 2;
-        const yPos = yOffset - glyph.yoffset * scale - glyphHeight / 2;
+  /**
+   * Instance index of the character at a string offset
+   * @param {number} stringIndex - UTF-16 offset into the text (any offset
+   *   inside a grapheme cluster maps to the cluster's first glyph)
+   * @returns {number} Instance index, or -1 if the character has no glyph
+   *   ('\n', characters missing from the atlas, or the tail of a shaped ligature)
+   */
+  stringIndexToInstance(stringIndex) {
+    if (!this._stringToInstance || stringIndex < 0 || stringIndex >= this._stringToInstance.length) {
+      return -1;
+    }
+    return this._stringToInstance[stringIndex];
+  }
 
-        // Position
-        dummy.position.set(xPos, yPos, 0);
-        dummy.scale.set(glyphWidth, glyphHeight, 1);
-        dummy.updateMatrix();
-        this.setMatrixAt(charIdx, dummy.matrix);
+  /**
+   * String offset of the character an instance was laid out for
+   * @param {number} instance - Instance index
+   * @returns {number} UTF-16 offset into the text, or -1 if out of range
+   */
+  instanceToStringIndex(instance) {
+    if (!this._instanceToString || instance < 0 || instance >= this.count) return -1;
+    return this._instanceToString[instance];
+  }
+
+  /**
+   * Find the character under a ray or a point.
+   *
+   * Glyph quads are tested first (in any layout, including paths and moved
+   * glyphs). Points that miss every quad but fall inside a line of straight
+   * text resolve to the character cell they are in, so spaces and the gaps
+   * between glyphs can be hit too; past either end of a line the nearest
+   * character is returned with `inside: false`.
+   *
+   * @param {THREE.Raycaster|THREE.Vector2|THREE.Vector3} target - A raycaster, or a
+   *   point in the mesh's local space (z is ignored)
+   * @returns {Object|null} null when nothing is hit, else
+   *   {index, instance, line, rect, caret, before, inside, point, distance}:
+   *   `index` is the UTF-16 offset of the character, `instance` its glyph instance
+   *   (-1 for characters without one, e.g. spaces), `rect` {x, y, width, height} its
+   *   glyph quad or character cell in layout units (x, y = bottom-left), `caret`
+   *   the nearest caret offset (before or after the character, `before` tells
+   *   which), `point` the local hit point and `distance` the ray distance
+   *   (raycasts only)
+   */
+  hitTest(target) {
+    const layout = this._layout;
+    if (!layout || !this.count) return null;
+
+    const ray = target instanceof THREE.Raycaster ? target.ray : null;
+    if (ray) {
+      this.updateWorldMatrix(true, false);
+      _localRay.copy(ray).applyMatrix4(_inverseMatrix.copy(this.matrixWorld).invert());
+    }
+
+    // Glyph quads: unit planes in each instance's space (clipped parts can't be hit)
+    const clipRect = this._layoutOptions.path ? null : layout.clipRect;
+    let best = null;
+    for (let i = 0; i < this.count; i++) {
+      this._getGlyphMatrix(i, _instanceMatrix);
+      if (_instanceMatrix.determinant() === 0) continue;
+      _inverseMatrix.copy(_instanceMatrix).invert();
 
-        // UV coordinates
-        uvOffset[charIdx * 4 + 0] = glyph.x / texW;
-        uvOffset[charIdx * 4 + 1] = (glyph.y + glyph.height) / texH;
-        uvOffset[charIdx * 4 + 2] = glyph.width / texW;
-        uvOffset[charIdx * 4 + 3] = -glyph.height / texH;
+      if (ray) {
+        _quadRay.copy(_localRay).applyMatrix4(_inverseMatrix);
+        if (!_quadRay.intersectPlane(_textPlane, _quadPoint)) continue;
+      } else {
+        _quadPoint.set(target.x, target.y, 0).applyMatrix4(_inverseMatrix);
+      }
+      if (Math.abs(_quadPoint.x) > 0.5 || Math.abs(_quadPoint.y) > 0.5) continue;
 
-        xOffset += glyph.xadvance * scale;
-        charIdx++;
+      const point = _quadPoint.clone().setZ(0).applyMatrix4(_instanceMatrix);
+      if (clipRect && (point.x < clipRect.minX || point.x > clipRect.maxX)) continue;
+      const distance = ray ? this._getRayDistance(ray, point) : 0;
+      if (!best || distance < best.distance) {
+        best = { instance: i, point, distance, left: _quadPoint.x < 0 };
       }
     }
 
-    // Hide unused characters
-    for (let i = charIdx; i < this.capacity; i++) {
-      dummy.position.set(0, 0, -10000);
-      dummy.scale.set(0, 0, 0);
-      dummy.updateMatrix();
-      this.setMatrixAt(i, dummy.matrix);
+    if (best) {
+      const quad = layout.glyphs[best.instance];
+      // Looked up on the line so an ellipsis resolves to the text it replaces
+      const cluster = layout.lines[quad.line].visual.find((c) =>
+        c.glyphCount > 0 && best.instance >= c.instance && best.instance < c.instance + c.glyphCount
+      );
+      const rect = {
+        x: quad.x - quad.width / 2,
+        y: quad.y - quad.height / 2,
+        width: quad.width,
+        height: quad.height
+      };
+      return this._toHitResult(cluster, best.instance, rect, best.left, true, best.point, ray ? best.distance : undefined);
+    }
+
+    // Character cells of straight text
+    if (this._layoutOptions.path) return null;
+    let point;
+    if (ray) {
+      point = _localRay.intersectPlane(_textPlane, new THREE.Vector3());
+      if (!point) return null;
+    } else {
+      point = new THREE.Vector3(target.x, target.y, 0);
+    }
+
+    const line = layout.lines.find((l) => point.y <= l.top && point.y >= l.top - l.height);
+    if (!line || !line.visual.length) return null;
+
+    const { visual } = line;
+    // Clipped-off text can't be hit: points past the clip box go to its edge
+    const x = clipRect ? Math.min(Math.max(point.x, clipRect.minX), clipRect.maxX) : point.x;
+    let cluster = visual.find((c) => x >= c.x && x < c.x + c.advanceWidth);
+    let inside = true;
+    let left;
+    if (cluster) {
+      left = x < cluster.x + cluster.advanceWidth / 2;
+    } else {
+      inside = false;
+      left = x < line.x;
+      cluster = left ? visual[0] : visual[visual.length - 1];
+    }
+
+    const rect = { x: cluster.x, y: line.top - line.height, width: cluster.advanceWidth, height: line.height };
+    const instance = cluster.glyphCount > 0 ? cluster.instance : -1;
+    const distance = ray ? this._getRayDistance(ray, point) : undefined;
+    return this._toHitResult(cluster, instance, rect, left, inside, point, distance);
+  }
+
+  /**
+   * Caret position at a string offset, in layout units (the mesh's local space
+   * for straight text). The caret sits before the character at `offset`, on
+   * its visual side (the right edge on right-to-left runs); offsets past the
+   * last character of a line put it after that character.
+   * @param {number} offset - UTF-16 offset, 0 to text length
+   * @returns {{x: number, top: number, height: number, baseline: number, line: number,
+   *   start: number, end: number}|null} Caret x, its line box (top, height, baseline),
+   *   line index and the line's [start, end) string offsets; null before any layout
+   */
+  getCaretRect(offset) {
+    const layout = this._layout;
+    if (!layout) return null;
+
+    // Offsets in a line break or the spaces hanging after a wrap belong to
+    // the line before them
+    const { lines } = layout;
+    let lineIndex = lines.findIndex((l) => offset >= l.start && offset < l.end);
+    if (lineIndex < 0) {
+      lineIndex = lines.length - 1;
+      while (lineIndex > 0 && lines[lineIndex].start > offset) lineIndex--;
+    }
+    const line = lines[lineIndex];
+    const { clusters } = line;
+
+    let x = line.x;
+    const cluster = clusters.find((c) => offset >= c.index && offset < c.index + c.text.length);
+    if (cluster) {
+      x = cluster.level & 1 ? cluster.x + cluster.advanceWidth : cluster.x;
+    } else if (clusters.length) {
+      const last = clusters[clusters.length - 1];
+      x = last.level & 1 ? last.x : last.x + last.advanceWidth;
     }
 
-    this.count = charIdx;
-    this.instanceMatrix.needsUpdate = true;
-    geometry.attributes.uvOffset.needsUpdate = true;
+    return {
+      x,
+      top: line.top,
+      height: line.height,
+      baseline: line.baseline,
+      line: lineIndex,
+      start: line.start,
+      end: line.end
+    };
+  }
+
+  /**
+   * Rectangles covering a string range, one per visually contiguous run on
+   * each line (selection highlights, hover underlines)
+   * @param {number} start - UTF-16 offset (inclusive)
+   * @param {number} end - UTF-16 offset (exclusive)
+   * @returns {Array<{x: number, y: number, width: number, height: number, line: number}>}
+   *   Rectangles in layout units (x, y = bottom-left corner)
+   */
+  getRangeRects(start, end) {
+    const rects = [];
+    if (!this._layout || end <= start) return rects;
+
+    this._layout.lines.forEach((line, lineIndex) => {
+      let rect = null;
+      for (const cluster of line.visual) {
+        const inRange = cluster.index < end && cluster.index + cluster.text.length > start;
+        if (!inRange) {
+          rect = null;
+          continue;
+        }
+        if (rect && Math.abs(rect.x + rect.width - cluster.x) < 1e-6) {
+          rect.width += cluster.advanceWidth;
+        } else {
+          rect = { x: cluster.x, y: line.top - line.height, width: cluster.advanceWidth, height: line.height, line: lineIndex };
+          rects.push(rect);
+        }
+      }
+    });
+    return rects;
+  }
+
+  /**
+   * World-space distance from a ray origin to a local point
+   * @private
+   */
+  _getRayDistance(ray, localPoint) {
+    return ray.origin.distanceTo(localPoint.clone().applyMatrix4(this.matrixWorld));
+  }
+
+  /**
+   * Build a hitTest result; the caret goes on the visual side that was hit,
+   * which is logically after the character on right-to-left runs
+   * @private
+   */
+  _toHitResult(cluster, instance, rect, left, inside, point, distance) {
+    const rtl = (cluster.level & 1) === 1;
+    const before = left !== rtl;
+    return {
+      index: cluster.index,
+      instance,
+      line: cluster.line,
+      rect,
+      caret: before ? cluster.index : cluster.index + cluster.text.length,
+      before,
+      inside,
+      point,
+      distance
+    };
+  }
+
+  /**
+   * Instances laid out for the string range [start, end).
+   * Instances follow logical string order, so they form one contiguous run.
+   * @private
+   * @returns {number[]} [first, last) instance indices
+   */
+  _getInstanceRange(start, end) {
+    let first = 0;
+    while (first < this.count && this._instanceToString[first] < start) first++;
+    let last = first;
+    while (last < this.count && this._instanceToString[last] < end) last++;
+    return [first, last];
+  }
+
+  /**
+   * Set color for a string range (UTF-16 offsets, end exclusive)
+   */
+  setRangeColor(start, end, color, alpha = 1.0) {
+    const [first, last] = this._getInstanceRange(start, end);
+    for (let i = first; i < last; i++) this.setCharacterColor(i, color, alpha);
+  }
+
+  /**
+   * Set outline color for a string range (UTF-16 offsets, end exclusive)
+   */
+  setRangeOutlineColor(start, end, color, alpha = 1.0) {
+    const [first, last] = this._getInstanceRange(start, end);
+    for (let i = first; i < last; i++) this.setCharacterOutlineColor(i, color, alpha);
+  }
+
+  /**
+   * Set drop shadow color for a string range (UTF-16 offsets, end exclusive)
+   */
+  setRangeShadowColor(start, end, color, alpha = 1.0) {
+    const [first, last] = this._getInstanceRange(start, end);
+    for (let i = first; i < last; i++) this.setCharacterShadowColor(i, color, alpha);
+  }
+
+  /**
+   * Set drop shadow offset / softness multipliers for a string range
+   */
+  setRangeShadow(start, end, offset = 1.0, softness = 1.0) {
+    const [first, last] = this._getInstanceRange(start, end);
+    for (let i = first; i < last; i++) this.setCharacterShadow(i, offset, softness);
+  }
+
+  /**
+   * Set thickness for a string range (UTF-16 offsets, end exclusive)
+   */
+  setRangeThickness(start, end, thickness = 1.0, outlineThickness = 1.0) {
+    const [first, last] = this._getInstanceRange(start, end);
+    for (let i = first; i < last; i++) this.setCharacterThickness(i, thickness, outlineThickness);
+  }
+
+  /**
+   * Set glow mode for a string range (UTF-16 offsets, end exclusive)
+   * @param {number} start - First string offset
+   * @param {number} end - String offset after the range
+   * @param {boolean} enableGlow - true for glow, false for hard outline
+   */
+  setRangeGlowMode(start, end, enableGlow) {
+    const [first, last] = this._getInstanceRange(start, end);
+    for (let i = first; i < last; i++) this.setCharacterGlowMode(i, enableGlow);
   }
 
   /**
@@ -529,6 +1665,37 @@ export class MSDFString extends THREE.InstancedMesh {
     this.geometry.attributes.instanceOutlineColor.needsUpdate = true;
   }
 
+  /**
+   * Set drop shadow color for a specific character (multiplies the global
+   * shadow color; alpha multiplies its opacity)
+   */
+  setCharacterShadowColor(index, color, alpha = 1.0) {
+    if (index < 0 || index >= this.count) return;
+
+    const colorObj = new THREE.Color(color);
+    const colors = this.geometry.attributes.instanceShadowColor.array;
+
+    colors[index * 4 + 0] = colorObj.r;
+    colors[index * 4 + 1] = colorObj.g;
+    colors[index * 4 + 2] = colorObj.b;
+    colors[index * 4 + 3] = alpha;
+
+    this.geometry.attributes.instanceShadowColor.needsUpdate = true;
+  }
+
+  /**
+   * Set drop shadow offset and softness multipliers for a specific character
+   */
+  setCharacterShadow(index, offset = 1.0, softness = 1.0) {
+    if (index < 0 || index >= this.count) return;
+
+    const shadows = this.geometry.attributes.instanceShadow.array;
+    shadows[index * 2 + 0] = offset;
+    shadows[index * 2 + 1] = softness;
+
+    this.geometry.attributes.instanceShadow.needsUpdate = true;
+  }
+
   /**
    * Set thickness for a specific character
    */
@@ -556,6 +1723,238 @@ export class MSDFString extends THREE.InstancedMesh {
     this.geometry.attributes.instanceGlowMode.needsUpdate = true;
   }
 
+  /**
+   * Move a glyph away from its layout position. The offset is in layout units,
+   * along the glyph's own axes (the curve's tangent and side for path text),
+   * and is applied in the vertex shader, so it survives later setText calls
+   * and never re-runs layout.
+   * @param {number} index - Glyph instance index
+   * @param {number} [x=0] - Offset along the text direction
+   * @param {number} [y=0] - Offset towards the glyph top
+   * @param {number} [z=0] - Offset towards the viewer
+   */
+  setCharacterOffset(index, x = 0, y = 0, z = 0) {
+    if (index < 0 || index >= this.count) return;
+
+    const offsets = this.geometry.attributes.instanceOffset;
+    offsets.array[index * 3 + 0] = x;
+    offsets.array[index * 3 + 1] = y;
+    offsets.array[index * 3 + 2] = z;
+    offsets.needsUpdate = true;
+    this._invalidateBounds();
+  }
+
+  /**
+   * Rotate a glyph around its centre (Euler angles in radians, XYZ order,
+   * about the glyph's own axes); z spins it in the text plane
+   * @param {number} index - Glyph instance index
+   * @param {number} [x=0] - Rotation about the text direction
+   * @param {number} [y=0] - Rotation about the glyph's vertical axis
+   * @param {number} [z=0] - Rotation in the text plane
+   */
+  setCharacterRotation(index, x = 0, y = 0, z = 0) {
+    if (index < 0 || index >= this.count) return;
+
+    const rotations = this.geometry.attributes.instanceRotation;
+    rotations.array[index * 3 + 0] = x;
+    rotations.array[index * 3 + 1] = y;
+    rotations.array[index * 3 + 2] = z;
+    rotations.needsUpdate = true;
+    this._invalidateBounds();
+  }
+
+  /**
+   * Scale a glyph around its centre
+   * @param {number} index - Glyph instance index
+   * @param {number} [x=1] - Horizontal scale
+   * @param {number} [y=x] - Vertical scale
+   */
+  setCharacterScale(index, x = 1, y = x) {
+    if (index < 0 || index >= this.count) return;
+
+    const scales = this.geometry.attributes.instanceScale;
+    scales.array[index * 2 + 0] = x;
+    scales.array[index * 2 + 1] = y;
+    scales.needsUpdate = true;
+    this._invalidateBounds();
+  }
+
+  /**
+   * Clear every glyph's offset, rotation and scale
+   */
+  resetCharacterTransforms() {
+    const { instanceOffset, instanceRotation, instanceScale } = this.geometry.attributes;
+    instanceOffset.array.fill(0);
+    instanceRotation.array.fill(0);
+    instanceScale.array.fill(1.0);
+    instanceOffset.needsUpdate = true;
+    instanceRotation.needsUpdate = true;
+    instanceScale.needsUpdate = true;
+    this._invalidateBounds();
+  }
+
+  /**
+   * Layout matrix of an instance combined with its per-glyph transform (what
+   * the vertex shader draws)
+   * @private
+   */
+  _getGlyphMatrix(index, target) {
+    this.getMatrixAt(index, target);
+    const { instanceOffset, instanceRotation, instanceScale } = this.geometry.attributes;
+    const o = instanceOffset.array;
+    const r = instanceRotation.array;
+    const s = instanceScale.array;
+    const i3 = index * 3;
+    const i2 = index * 2;
+    if (o[i3] === 0 && o[i3 + 1] === 0 && o[i3 + 2] === 0 &&
+        r[i3] === 0 && r[i3 + 1] === 0 && r[i3 + 2] === 0 &&
+        s[i2] === 1 && s[i2 + 1] === 1) {
+      return target;
+    }
+
+    // layout × unscale(size) × translate(offset) × rotate × scale(size × glyph scale)
+    const e = target.elements;
+    const width = Math.hypot(e[0], e[1], e[2]);
+    const height = Math.hypot(e[4], e[5], e[6]);
+    if (width * height === 0) return target;
+    target.scale(_glyphSize.set(1 / width, 1 / height, 1));
+    _glyphTransform.makeRotationFromEuler(_glyphEuler.set(r[i3], r[i3 + 1], r[i3 + 2]))
+      .setPosition(o[i3], o[i3 + 1], o[i3 + 2])
+      .scale(_glyphSize.set(s[i2] * width, s[i2 + 1] * height, 1));
+    return target.multiply(_glyphTransform);
+  }
+
+  /**
+   * Mark the bounding volumes for recomputation
+   * @private
+   */
+  _invalidateBounds() {
+    this.boundingBox = null;
+    this.boundingSphere = null;
+  }
+
+  /**
+   * Give one glyph a GPU animation preset. Animations run in the vertex
+   * shader on top of the per-glyph transform; bounds and hitTest ignore them.
+   * @param {number} index - Glyph instance index
+   * @param {string|number} preset - Name or id from animationPresets
+   * @param {number} [delay=0] - Start time in seconds on the animation clock
+   * @param {number} [duration=1] - Length in seconds (period for wave and colorCycle)
+   * @param {number} [amplitude=1] - Preset strength (em for wave and slide)
+   */
+  setCharacterAnimation(index, preset, delay = 0, duration = 1, amplitude = 1) {
+    if (index < 0 || index >= this.count) return;
+
+    const animations = this.geometry.attributes.instanceAnimation;
+    animations.array[index * 4 + 0] = resolveAnimationPreset(preset);
+    animations.array[index * 4 + 1] = delay;
+    animations.array[index * 4 + 2] = duration;
+    animations.array[index * 4 + 3] = amplitude;
+    animations.needsUpdate = true;
+    this._setDefine('MSDF_ANIMATION', true);
+  }
+
+  /**
+   * Animate a string range with a preset, staggering the glyphs in order.
+   * Call playAnimation() (and updateAnimation(delta) every frame) to run it.
+   * @param {string|number} preset - 'fadeIn', 'wave', 'pop', 'slide',
+   *   'colorCycle' or an id from animationPresets
+   * @param {Object} [options]
+   * @param {number} [options.start=0] - Range start (UTF-16 offset)
+   * @param {number} [options.end=text length] - Range end (exclusive)
+   * @param {number} [options.delay=0] - Start time of the first glyph (s)
+   * @param {number} [options.stagger=0.05] - Extra delay per glyph (s)
+   * @param {number} [options.duration] - Per-glyph length or period (s);
+   *   defaults per preset
+   * @param {number} [options.amplitude] - Preset strength; defaults per preset
+   */
+  setAnimation(preset, options = {}) {
+    const id = resolveAnimationPreset(preset);
+    const name = Object.keys(animationPresets).find((key) => animationPresets[key] === id);
+    const defaults = ANIMATION_DEFAULTS[name] ?? { duration: 1, amplitude: 1 };
+    const {
+      start = 0,
+      end = this._text.length,
+      delay = 0,
+      stagger = 0.05,
+      duration = defaults.duration,
+      amplitude = defaults.amplitude
+    } = options;
+
+    const [first, last] = this._getInstanceRange(start, end);
+    for (let i = first; i < last; i++) {
+      this.setCharacterAnimation(i, id, delay + (i - first) * stagger, duration, amplitude);
+    }
+  }
+
+  /**
+   * Remove every glyph's animation and stop playback
+   */
+  clearAnimation() {
+    const animations = this.geometry.attributes.instanceAnimation;
+    animations.array.fill(0);
+    animations.needsUpdate = true;
+    this._setDefine('MSDF_ANIMATION', false);
+    this.stopAnimation();
+  }
+
+  /**
+   * Start or resume advancing the animation clock in updateAnimation()
+   */
+  playAnimation() {
+    this.animationPlaying = true;
+  }
+
+  /**
+   * Hold the animation clock at its current time
+   */
+  pauseAnimation() {
+    this.animationPlaying = false;
+  }
+
+  /**
+   * Pause and rewind the animation clock to 0
+   */
+  stopAnimation() {
+    this.animationPlaying = false;
+    this.seekAnimation(0);
+  }
+
+  /**
+   * Jump the animation clock to a time
+   * @param {number} time - Seconds
+   */
+  seekAnimation(time) {
+    this.animationTime = time;
+    this.material.uniforms.msdfTime.value = time;
+  }
+
+  /**
+   * Advance the animation clock (call once per frame)
+   * @param {number} delta - Seconds since the last frame
+   */
+  updateAnimation(delta) {
+    if (!this.animationPlaying) return;
+    this.seekAnimation(this.animationTime + delta * this.animationSpeed);
+  }
+
+  /**
+   * Time at which every one-shot animation has finished (delay + duration of
+   * the last glyph). Wave and colorCycle loop forever and are not counted.
+   * @returns {number} Seconds
+   */
+  getAnimationDuration() {
+    const animations = this.geometry.attributes.instanceAnimation.array;
+    let duration = 0;
+    for (let i = 0; i < this.count; i++) {
+      const preset = animations[i * 4];
+      if (preset === animationPresets.none || preset === animationPresets.wave ||
+          preset === animationPresets.colorCycle) continue;
+      duration = Math.max(duration, animations[i * 4 + 1] + animations[i * 4 + 2]);
+    }
+    return duration;
+  }
+
   /**
    * Set global color (affects all characters)
    */
@@ -592,6 +1991,144 @@ export class MSDFString extends THREE.InstancedMesh {
     this.material.uniforms.globalGlowMode.value = glowMode;
   }
 
+  /**
+   * Turn on the drop shadow and/or change its settings; options left out keep
+   * their current values. The shadow is drawn under the glyph and its outline,
+   * inside a quad grown by the shadow's reach, and is limited to the atlas
+   * distance range (very soft or far shadows fade out early). Bounding volumes
+   * and hitTest ignore it.
+   * @param {Object} [options]
+   * @param {number[]|THREE.Vector2} [options.offset=[0.05, -0.05]] - x right,
+   *   y up (negative y drops the shadow below the text)
+   * @param {number} [options.softness=0.05] - Blur radius
+   * @param {THREE.Color|string|number} [options.color='#000000']
+   * @param {number} [options.opacity=0.6]
+   * @param {string} [options.units='em'] - 'em' (offset and softness scale
+   *   with fontSize, in the glyph's frame) or 'px' (CSS pixels on screen)
+   */
+  setShadow(options = {}) {
+    const { offset, softness, color, opacity, units = this.shadowUnits } = options;
+    if (units !== 'em' && units !== 'px') {
+      throw new Error(`Unknown shadow units '${units}'. Use 'em' or 'px'.`);
+    }
+
+    const uniforms = this.material.uniforms;
+    if (offset !== undefined) {
+      if (offset.isVector2) uniforms.globalShadowOffset.value.copy(offset);
+      else uniforms.globalShadowOffset.value.fromArray(offset);
+    }
+    if (softness !== undefined) uniforms.globalShadowSoftness.value = softness;
+    if (color !== undefined) uniforms.globalShadowColor.value.set(color);
+    if (opacity !== undefined) uniforms.globalShadowOpacity.value = opacity;
+
+    this.shadowUnits = units;
+    this._setDefine('MSDF_SHADOW', true);
+    this._setDefine('MSDF_SHADOW_PX', units === 'px');
+  }
+
+  /**
+   * Turn off the drop shadow (its settings are kept for the next setShadow)
+   */
+  disableShadow() {
+    this._setDefine('MSDF_SHADOW', false);
+    this._setDefine('MSDF_SHADOW_PX', false);
+  }
+
+  /**
+   * Replace the single outline with a stack of stroke layers, ordered inner
+   * to outer; each layer starts where the previous one ends. The layer count
+   * is compiled into the shader, so changing it recompiles the material while
+   * changing colours or widths does not. The first layer is multiplied by the
+   * per-character outline settings (setCharacterOutlineColor, the outline
+   * thickness of setCharacterThickness and setCharacterGlowMode).
+   * @param {Object[]|null} layers - Empty or null goes back to the single outline
+   * @param {THREE.Color|string|number} [layers[].color='#000000']
+   * @param {number} [layers[].width=0.1] - In distance field units, like
+   *   outlineThickness; the whole stack is limited by the atlas distance range
+   * @param {number} [layers[].softness=0] - Extra edge blur, same units
+   * @param {string} [layers[].mode='hard'] - 'hard' or 'glow' (fades out
+   *   across the layer)
+   * @param {number} [layers[].opacity=1]
+   */
+  setStrokes(layers) {
+    const strokes = (layers || []).map((layer) => {
+      const { color = '#000000', width = 0.1, softness = 0, mode = 'hard', opacity = 1 } = layer;
+      if (mode !== 'hard' && mode !== 'glow') {
+        throw new Error(`Unknown stroke mode '${mode}'. Use 'hard' or 'glow'.`);
+      }
+      return { color: new THREE.Color(color), width, softness, mode, opacity };
+    });
+
+    const uniforms = this.material.uniforms;
+    uniforms.msdfStrokeColors.value = strokes.map((stroke) => (
+      new THREE.Vector4(stroke.color.r, stroke.color.g, stroke.color.b, stroke.opacity)
+    ));
+    uniforms.msdfStrokeParams.value = strokes.map((stroke) => (
+      new THREE.Vector4(stroke.width, stroke.softness, stroke.mode === 'glow' ? 1.0 : 0.0, 0.0)
+    ));
+    this._strokes = strokes;
+    this._setDefine('MSDF_STROKE_LAYERS', strokes.length > 0, String(strokes.length));
+  }
+
+  /**
+   * Current stroke layers (copies; pass them back to setStrokes after editing)
+   * @returns {Object[]}
+   */
+  getStrokes() {
+    return this._strokes.map((stroke) => ({ ...stroke, color: stroke.color.clone() }));
+  }
+
+  /**
+   * Make the text face the camera. The mesh origin is the pivot: position the
+   * mesh at the label's anchor point and the glyphs turn around it in the
+   * vertex shader, so no per-frame CPU work is needed.
+   * @param {string} mode - 'none', 'spherical' (always faces the camera) or
+   *   'cylindrical' (turns around world Y only, stays upright)
+   */
+  setBillboard(mode) {
+    if (!(mode in BILLBOARD_DEFINES)) {
+      throw new Error(`Unknown billboard mode '${mode}'. Use 'none', 'spherical' or 'cylindrical'.`);
+    }
+    if (mode === this.billboard) return;
+
+    if (BILLBOARD_DEFINES[this.billboard]) this._setDefine(BILLBOARD_DEFINES[this.billboard], false);
+    if (BILLBOARD_DEFINES[mode]) this._setDefine(BILLBOARD_DEFINES[mode], true);
+    this.billboard = mode;
+  }
+
+  /**
+   * Switch between perspective size and constant screen size
+   * @param {boolean} enabled - false keeps the text the same size on screen
+   *   at any distance
+   * @param {number} [pixelSize=this.pixelSize] - Height of one fontSize in CSS
+   *   pixels when size attenuation is off (mesh scale still applies)
+   */
+  setSizeAttenuation(enabled, pixelSize = this.pixelSize) {
+    this.pixelSize = pixelSize;
+    if (enabled === this.sizeAttenuation) return;
+
+    this._setDefine('MSDF_SCREEN_SIZE', !enabled);
+    this.sizeAttenuation = enabled;
+  }
+
+  /**
+   * Update the screen-size and pixel shadow uniforms for the viewport being
+   * rendered
+   * @private
+   */
+  onBeforeRender(renderer) {
+    const pixelShadow = 'MSDF_SHADOW_PX' in (this.material.defines || {});
+    if (this.sizeAttenuation && !pixelShadow) return;
+
+    const uniforms = this.material.uniforms;
+    renderer.getCurrentViewport(_viewport);
+    // The screen viewport is in device pixels; render targets have no pixel ratio
+    const pixelRatio = renderer.getRenderTarget() ? 1 : renderer.getPixelRatio();
+    uniforms.msdfViewportHeight.value = Math.max(_viewport.w / pixelRatio, 1);
+    uniforms.msdfPixelRatio.value = pixelRatio;
+    uniforms.msdfPixelScale.value = this.pixelSize / this._layoutOptions.fontSize;
+  }
+
   /**
    * Enable glow mode globally (soft alpha fade)
    */
@@ -620,6 +2157,21 @@ export class MSDFString extends THREE.InstancedMesh {
     return this.count;
   }
 
+  /**
+   * Get the number of laid-out lines (after word wrapping)
+   */
+  getLineCount() {
+    return this._lineCount;
+  }
+
+  /**
+   * Whether maxLines / overflow cut off part of the text in the last layout
+   * (e.g. to show the full text in a tooltip)
+   */
+  isTruncated() {
+    return this._truncated;
+  }
+
   /**
    * Reset all per-character attributes to defaults
    */
@@ -645,12 +2197,45 @@ export class MSDFString extends THREE.InstancedMesh {
       
       glowModes[i] = 1.0; // default to glow enabled
     }
+    this.geometry.attributes.instanceShadowColor.array.fill(1.0);
+    this.geometry.attributes.instanceShadow.array.fill(1.0);
 
     this.geometry.attributes.instanceColor.needsUpdate = true;
     this.geometry.attributes.instanceOutlineColor.needsUpdate = true;
     this.geometry.attributes.instanceThickness.needsUpdate = true;
     this.geometry.attributes.instanceGlowMode.needsUpdate = true;
+    this.geometry.attributes.instanceShadowColor.needsUpdate = true;
+    this.geometry.attributes.instanceShadow.needsUpdate = true;
   }
-}
 
+  /**
+   * Free the mesh's geometry, material and (with its last user) the fallback
+   * texture array. Fonts stay cached; a font unloaded with
+   * MSDFString.unloadFont() while in use is freed with its last mesh.
+   */
+  dispose() {
+    if (this._disposed) return;
+    this._disposed = true;
 
+    this.geometry.dispose();
+    this.material.dispose();
+    for (const usedFont of [this.font, ...this.fallbackFonts]) releaseFont(usedFont);
+    if (this._fontArray) releaseFontArray(this._fontArray, this.font.data);
+
+    super.dispose();
+  }
+}
+
+// Layout property accessors: `textMesh.fontSize = 0.2` stores the value and
+// lays the current text out again (use setLayout to change several at once)
+for (const name in LAYOUT_PROPERTY_DEFAULTS) {
+  Object.defineProperty(MSDFString.prototype, name, {
+    get() {
+      return this._layoutOptions[name];
+    },
+    set(value) {
+      this.setLayout({ [name]: value });
+    },
+    configurable: true
+  });
+}
@@ -0,0 +1,653 @@
+/**
+ * MSDFTextInput - Editable 3D text field built on MSDFString
+ *
+ * A hidden <textarea> receives typing, deletion, clipboard operations, undo
+ * and IME composition; the field mirrors its value and selection and draws
+ * the text, a blinking caret and selection highlight quads in the scene.
+ * Caret movement (arrows, word jumps, home/end, up/down across wrapped lines)
+ * and mouse/touch selection are handled here, against the text layout.
+ *
+ * Call update(delta) from the animation loop.
+ *
+ * @module MSDFTextInput
+ */
+
+import * as THREE from 'three';
+import { MSDFString } from './MSDFString.js';
+import { splitGraphemes } from './textLayout.js';
+
+const _ndc = new THREE.Vector2();
+const _caretWorld = new THREE.Vector3();
+const _matrix = new THREE.Matrix4();
+const _fieldPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+
+/**
+ * Create an instanced mesh of unit quads for highlight rectangles
+ * @private
+ */
+function createQuadMesh(material, capacity) {
+  const mesh = new THREE.InstancedMesh(new THREE.PlaneGeometry(1, 1), material, capacity);
+  mesh.count = 0;
+  mesh.frustumCulled = false;
+  return mesh;
+}
+
+export class MSDFTextInput extends THREE.Group {
+  /**
+   * Create a text field
+   * @param {Object} options - Field options; anything not listed is passed on
+   *   to the MSDFString (thickness, outlineColor, material, shaper, ...)
+   * @param {string|Object} options.font - Font name (loaded) or font object
+   * @param {string} [options.value=''] - Initial text
+   * @param {THREE.Camera} [options.camera] - Camera for pointer selection and IME placement
+   * @param {HTMLElement} [options.domElement] - Canvas receiving pointer events
+   * @param {number} [options.fontSize=0.1] - Font size in world units
+   * @param {number|null} [options.width=null] - Field width; text wraps to it (null = no wrapping)
+   * @param {boolean} [options.multiline=false] - Allow line breaks (Enter inserts one)
+   * @param {number|null} [options.maxLength=null] - Maximum number of characters
+   * @param {string} [options.color='#ffffff'] - Text color
+   * @param {string} [options.caretColor='#ffffff'] - Caret color
+   * @param {number} [options.caretWidth=0.06] - Caret width (em)
+   * @param {string} [options.selectionColor='#3390ff'] - Selection highlight color
+   * @param {number} [options.selectionOpacity=0.4] - Selection highlight opacity
+   * @param {number} [options.blinkInterval=0.53] - Seconds the caret stays on / off
+   */
+  constructor(options = {}) {
+    const {
+      font,
+      value = '',
+      camera = null,
+      domElement = null,
+      fontSize = 0.1,
+      width = null,
+      multiline = false,
+      maxLength = null,
+      color = '#ffffff',
+      caretColor = '#ffffff',
+      caretWidth = 0.06,
+      selectionColor = '#3390ff',
+      selectionOpacity = 0.4,
+      blinkInterval = 0.53,
+      ...textOptions
+    } = options;
+
+    super();
+
+    this.camera = camera;
+    this.domElement = domElement;
+    this.fontSize = fontSize;
+    this.width = width;
+    this.multiline = multiline;
+    this.caretWidth = caretWidth;
+    this.blinkInterval = blinkInterval;
+    this.focused = false;
+
+    // Text, anchored at its top-left corner so the field grows right and down
+    this.textMesh = new MSDFString({
+      ...textOptions,
+      font,
+      color,
+      fontSize,
+      anchorX: 'left',
+      anchorY: 'top',
+      maxWidth: width,
+      wordWrap: width === null ? 'none' : 'word'
+    });
+
+    // Selection highlights behind the text, composition underlines and the
+    // caret in front of it
+    this.selectionMesh = createQuadMesh(new THREE.MeshBasicMaterial({
+      color: selectionColor,
+      transparent: true,
+      opacity: selectionOpacity,
+      depthWrite: false
+    }), 4);
+    this.selectionMesh.renderOrder = this.textMesh.renderOrder - 1;
+
+    this.compositionMesh = createQuadMesh(new THREE.MeshBasicMaterial({ color: caretColor }), 4);
+    this.compositionMesh.renderOrder = this.textMesh.renderOrder + 1;
+
+    this.caret = new THREE.Mesh(
+      new THREE.PlaneGeometry(1, 1),
+      new THREE.MeshBasicMaterial({ color: caretColor, depthWrite: false })
+    );
+    this.caret.renderOrder = this.textMesh.renderOrder + 1;
+    this.caret.visible = false;
+
+    this.add(this.selectionMesh, this.textMesh, this.compositionMesh, this.caret);
+
+    // Mirrored textarea state
+    this._value = null;
+    this._selectionStart = -1;
+    this._selectionEnd = -1;
+    this._anchor = 0;          // Fixed end of the selection
+    this._goalX = null;        // Column kept while moving up / down
+    this._composition = null;  // {start, end} of the IME composition
+    this._blinkTime = 0;
+    this._dragging = false;
+    this._raycaster = new THREE.Raycaster();
+
+    // Hidden textarea: keyboard, clipboard and IME input
+    const textarea = document.createElement('textarea');
+    textarea.setAttribute('autocomplete', 'off');
+    textarea.setAttribute('autocorrect', 'off');
+    textarea.setAttribute('autocapitalize', 'off');
+    textarea.spellcheck = false;
+    if (maxLength !== null) textarea.maxLength = maxLength;
+    Object.assign(textarea.style, {
+      position: 'fixed',
+      left: '0px',
+      top: '0px',
+      width: '1px',
+      height: '1em',
+      padding: '0',
+      border: '0',
+      opacity: '0',
+      resize: 'none',
+      overflow: 'hidden',
+      whiteSpace: 'pre',
+      pointerEvents: 'none'
+    });
+    document.body.appendChild(textarea);
+    this.textarea = textarea;
+
+    this._onKeyDown = (event) => this._handleKeyDown(event);
+    this._onInput = () => this._sync();
+    this._onFocus = () => this._setFocused(true);
+    this._onBlur = () => this._setFocused(false);
+    this._onCompositionStart = () => {
+      this._composition = { start: textarea.selectionStart, end: textarea.selectionStart };
+    };
+    this._onCompositionUpdate = (event) => {
+      if (this._composition) this._composition.end = this._composition.start + (event.data || '').length;
+      this._sync();
+    };
+    this._onCompositionEnd = () => {
+      this._composition = null;
+      this._sync(true);
+    };
+
+    textarea.addEventListener('keydown', this._onKeyDown);
+    textarea.addEventListener('input', this._onInput);
+    textarea.addEventListener('focus', this._onFocus);
+    textarea.addEventListener('blur', this._onBlur);
+    textarea.addEventListener('compositionstart', this._onCompositionStart);
+    textarea.addEventListener('compositionupdate', this._onCompositionUpdate);
+    textarea.addEventListener('compositionend', this._onCompositionEnd);
+
+    this._onPointerDown = (event) => this._handlePointerDown(event);
+    this._onPointerMove = (event) => this._handlePointerMove(event);
+    this._onPointerUp = (event) => this._handlePointerUp(event);
+    if (domElement) {
+      domElement.addEventListener('pointerdown', this._onPointerDown);
+      domElement.addEventListener('pointermove', this._onPointerMove);
+      domElement.addEventListener('pointerup', this._onPointerUp);
+      domElement.addEventListener('pointercancel', this._onPointerUp);
+    }
+
+    this.value = value;
+  }
+
+  /**
+   * Current text
+   * @type {string}
+   */
+  get value() {
+    return this.textarea.value;
+  }
+
+  set value(text) {
+    this.textarea.value = this.multiline ? text : text.replace(/\r?\n/g, ' ');
+    this.textarea.setSelectionRange(this.textarea.value.length, this.textarea.value.length);
+    this._sync(true);
+  }
+
+  /**
+   * Selection as UTF-16 offsets (start === end for a plain caret)
+   * @returns {{start: number, end: number, direction: string}}
+   */
+  getSelection() {
+    const { selectionStart, selectionEnd, selectionDirection } = this.textarea;
+    return { start: selectionStart, end: selectionEnd, direction: selectionDirection };
+  }
+
+  /**
+   * Select a range; the caret goes to `end` (or `start` when end < start)
+   * @param {number} start - Anchor offset
+   * @param {number} [end=start] - Caret offset
+   */
+  select(start, end = start) {
+    this._anchor = start;
+    this._setSelection(Math.min(start, end), Math.max(start, end), end < start ? 'backward' : 'forward');
+  }
+
+  /**
+   * Select all text
+   */
+  selectAll() {
+    this.select(0, this.value.length);
+  }
+
+  /**
+   * Give the field keyboard focus
+   */
+  focus() {
+    this.textarea.focus({ preventScroll: true });
+  }
+
+  /**
+   * Remove keyboard focus
+   */
+  blur() {
+    this.textarea.blur();
+  }
+
+  /**
+   * Blink the caret, pick up edits made through the textarea and keep the
+   * IME candidate window next to the caret (call once per frame)
+   * @param {number} delta - Seconds since the last frame
+   */
+  update(delta) {
+    this._sync();
+
+    this._blinkTime += delta;
+    this.caret.visible = this.focused &&
+      (this._selectionStart !== this._selectionEnd || Math.floor(this._blinkTime / this.blinkInterval) % 2 === 0);
+
+    if (this.focused) this._placeTextarea();
+  }
+
+  /**
+   * Remove the textarea and event listeners and free the meshes
+   */
+  dispose() {
+    const { textarea, domElement } = this;
+    textarea.removeEventListener('keydown', this._onKeyDown);
+    textarea.removeEventListener('input', this._onInput);
+    textarea.removeEventListener('focus', this._onFocus);
+    textarea.removeEventListener('blur', this._onBlur);
+    textarea.removeEventListener('compositionstart', this._onCompositionStart);
+    textarea.removeEventListener('compositionupdate', this._onCompositionUpdate);
+    textarea.removeEventListener('compositionend', this._onCompositionEnd);
+    textarea.remove();
+
+    if (domElement) {
+      domElement.removeEventListener('pointerdown', this._onPointerDown);
+      domElement.removeEventListener('pointermove', this._onPointerMove);
+      domElement.removeEventListener('pointerup', this._onPointerUp);
+      domElement.removeEventListener('pointercancel', this._onPointerUp);
+    }
+
+    this.textMesh.dispose();
+    for (const mesh of [this.selectionMesh, this.compositionMesh, this.caret]) {
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    }
+  }
+
+  /**
+   * Mirror the textarea value and selection into the scene
+   * @private
+   * @param {boolean} [force=false] - Redraw even if nothing changed
+   */
+  _sync(force = false) {
+    const textarea = this.textarea;
+
+    // Single-line fields turn pasted line breaks into spaces
+    if (!this.multiline && !this._composition && /[\r\n]/.test(textarea.value)) {
+      const { selectionStart, selectionEnd } = textarea;
+      textarea.value = textarea.value.replace(/\r?\n/g, ' ');
+      textarea.setSelectionRange(selectionStart, selectionEnd);
+    }
+
+    const { value, selectionStart, selectionEnd, selectionDirection } = textarea;
+    const valueChanged = value !== this._value;
+    const selectionChanged = selectionStart !== this._selectionStart || selectionEnd !== this._selectionEnd;
+    if (!force && !valueChanged && !selectionChanged) return;
+
+    if (valueChanged) {
+      this._value = value;
+      this.textMesh.setText(value);
+    }
+    if (selectionChanged) {
+      this._selectionStart = selectionStart;
+      this._selectionEnd = selectionEnd;
+      this._anchor = selectionDirection === 'backward' ? selectionEnd : selectionStart;
+    }
+    this._blinkTime = 0;
+    this._updateDecorations();
+
+    if (valueChanged) this.dispatchEvent({ type: 'change', value });
+    if (selectionChanged) this.dispatchEvent({ type: 'select', start: selectionStart, end: selectionEnd });
+  }
+
+  /**
+   * Place the caret, selection highlights and composition underline
+   * @private
+   */
+  _updateDecorations() {
+    const { textMesh, fontSize } = this;
+
+    const caret = textMesh.getCaretRect(this._getCaretOffset());
+    if (caret) {
+      const height = caret.height * 0.85;
+      this.caret.scale.set(this.caretWidth * fontSize, height, 1);
+      this.caret.position.set(caret.x, caret.top - caret.height / 2, 0);
+    }
+
+    const selection = this._composition ? [] : textMesh.getRangeRects(this._selectionStart, this._selectionEnd);
+    this.selectionMesh = this._setQuads(this.selectionMesh, selection);
+
+    // Composition: a thin underline under the text being composed
+    const underlines = this._composition
+      ? textMesh.getRangeRects(this._composition.start, this._composition.end).map((rect) => ({
+        x: rect.x,
+        y: rect.y + rect.height * 0.05,
+        width: rect.width,
+        height: fontSize * 0.05
+      }))
+      : [];
+    this.compositionMesh = this._setQuads(this.compositionMesh, underlines);
+  }
+
+  /**
+   * Write rectangles into a quad mesh, replacing it when it is too small
+   * @private
+   * @returns {THREE.InstancedMesh} The mesh holding the rectangles
+   */
+  _setQuads(mesh, rects) {
+    if (rects.length > mesh.instanceMatrix.count) {
+      const grown = createQuadMesh(mesh.material, Math.ceil(rects.length * 1.5));
+      grown.renderOrder = mesh.renderOrder;
+      this.remove(mesh);
+      this.add(grown);
+      mesh.geometry.dispose();
+      mesh = grown;
+    }
+
+    rects.forEach((rect, i) => {
+      _matrix.makeScale(rect.width, rect.height, 1)
+        .setPosition(rect.x + rect.width / 2, rect.y + rect.height / 2, 0);
+      mesh.setMatrixAt(i, _matrix);
+    });
+    mesh.count = rects.length;
+    mesh.instanceMatrix.needsUpdate = true;
+    return mesh;
+  }
+
+  /**
+   * The moving end of the selection (where the caret is drawn)
+   * @private
+   */
+  _getCaretOffset() {
+    return this._anchor === this._selectionStart ? this._selectionEnd : this._selectionStart;
+  }
+
+  /**
+   * Set the textarea selection and redraw
+   * @private
+   */
+  _setSelection(start, end, direction = 'none') {
+    this.textarea.setSelectionRange(start, end, direction);
+    this._sync();
+  }
+
+  /**
+   * Move the caret to `offset`, extending the selection from the anchor
+   * when `extend` is set
+   * @private
+   */
+  _moveCaret(offset, extend) {
+    const anchor = extend ? this._anchor : offset;
+    this._setSelection(Math.min(anchor, offset), Math.max(anchor, offset), offset < anchor ? 'backward' : 'forward');
+    this._anchor = anchor;
+  }
+
+  /**
+   * Caret movement keys; everything else (typing, deletion, clipboard,
+   * undo, select all) is left to the textarea
+   * @private
+   */
+  _handleKeyDown(event) {
+    if (event.isComposing || this._composition) return;
+
+    const { key, shiftKey } = event;
+    const caret = this._getCaretOffset();
+    const length = this.value.length;
+    const line = this.textMesh.getCaretRect(caret);
+    // Word jumps: Alt on macOS, Ctrl elsewhere; Cmd+arrows jump to line ends
+    const byWord = event.altKey || event.ctrlKey;
+    let offset;
+
+    switch (key) {
+      case 'ArrowLeft':
+      case 'ArrowRight': {
+        const collapse = !shiftKey && this._selectionStart !== this._selectionEnd && !byWord && !event.metaKey;
+        // Arrows move visually, so right-to-left lines step backwards
+        let forward = key === 'ArrowRight';
+        if (this._isRtlLine(line)) forward = !forward;
+
+        if (collapse) {
+          offset = forward ? this._selectionEnd : this._selectionStart;
+        } else if (event.metaKey) {
+          offset = forward ? line.end : line.start;
+        } else if (byWord) {
+          offset = this._getWordBoundary(caret, forward ? 1 : -1);
+        } else {
+          offset = this._getGraphemeBoundary(caret, forward ? 1 : -1);
+        }
+        this._goalX = null;
+        break;
+      }
+      case 'ArrowUp':
+      case 'ArrowDown':
+        offset = this._getVerticalOffset(caret, key === 'ArrowDown' ? 1 : -1);
+        break;
+      case 'Home':
+        offset = event.ctrlKey || event.metaKey ? 0 : line.start;
+        this._goalX = null;
+        break;
+      case 'End':
+        offset = event.ctrlKey || event.metaKey ? length : line.end;
+        this._goalX = null;
+        break;
+      case 'Enter':
+        if (!this.multiline) {
+          event.preventDefault();
+          this.dispatchEvent({ type: 'submit', value: this.value });
+        }
+        return;
+      default:
+        this._goalX = null;
+        return;
+    }
+
+    event.preventDefault();
+    this._moveCaret(offset, shiftKey);
+  }
+
+  /**
+   * Whether the line a caret rect belongs to is a right-to-left paragraph
+   * @private
+   */
+  _isRtlLine(caretRect) {
+    const first = this.textMesh.getCaretRect(caretRect.start);
+    const last = this.textMesh.getCaretRect(caretRect.end);
+    return caretRect.end > caretRect.start && first.x > last.x;
+  }
+
+  /**
+   * Next / previous grapheme cluster boundary
+   * @private
+   */
+  _getGraphemeBoundary(offset, direction) {
+    let boundary = 0;
+    let previous = 0;
+    for (const grapheme of splitGraphemes(this.value)) {
+      previous = boundary;
+      boundary += grapheme.length;
+      if (direction > 0 && boundary > offset) return boundary;
+      if (direction < 0 && boundary >= offset) return previous;
+    }
+    return direction > 0 ? this.value.length : Math.min(previous, offset);
+  }
+
+  /**
+   * Next word end / previous word start (words are runs of non-whitespace)
+   * @private
+   */
+  _getWordBoundary(offset, direction) {
+    const text = this.value;
+    let i = offset;
+    if (direction > 0) {
+      while (i < text.length && /\s/.test(text[i])) i++;
+      while (i < text.length && !/\s/.test(text[i])) i++;
+    } else {
+      while (i > 0 && /\s/.test(text[i - 1])) i--;
+      while (i > 0 && !/\s/.test(text[i - 1])) i--;
+    }
+    return i;
+  }
+
+  /**
+   * Caret offset on the line above / below, nearest to the column the
+   * vertical movement started from
+   * @private
+   */
+  _getVerticalOffset(offset, direction) {
+    const { textMesh } = this;
+    const current = textMesh.getCaretRect(offset);
+    if (this._goalX === null) this._goalX = current.x;
+
+    // First offset on the neighbouring line
+    let probe = direction > 0 ? current.end + 1 : current.start - 1;
+    if (probe < 0) return 0;
+    if (probe > this.value.length) return this.value.length;
+    while (direction > 0 && probe < this.value.length && textMesh.getCaretRect(probe).line === current.line) probe++;
+    const target = textMesh.getCaretRect(probe);
+    if (target.line === current.line) return direction > 0 ? this.value.length : 0;
+
+    // Nearest grapheme boundary on that line
+    let best = target.start;
+    let bestDistance = Infinity;
+    let boundary = 0;
+    for (const grapheme of ['', ...splitGraphemes(this.value)]) {
+      boundary += grapheme.length;
+      if (boundary < target.start) continue;
+      if (boundary > target.end) break;
+      const distance = Math.abs(textMesh.getCaretRect(boundary).x - this._goalX);
+      if (distance < bestDistance) {
+        best = boundary;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Caret offset under a pointer event, or null when the field is missed
+   * @private
+   */
+  _getPointerOffset(event) {
+    if (!this.camera || !this.domElement) return null;
+
+    const rect = this.domElement.getBoundingClientRect();
+    _ndc.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this._raycaster.setFromCamera(_ndc, this.camera);
+
+    const hit = this.textMesh.hitTest(this._raycaster);
+    if (hit) return hit.caret;
+
+    // Empty field, or beside the text: the field box still takes the click
+    this.textMesh.updateWorldMatrix(true, false);
+    const localRay = this._raycaster.ray.clone().applyMatrix4(_matrix.copy(this.textMesh.matrixWorld).invert());
+    const point = localRay.intersectPlane(_fieldPlane, new THREE.Vector3());
+    if (!point) return null;
+
+    if (this.textMesh.boundingBox === null) this.textMesh.computeBoundingBox();
+    const last = this.textMesh.getCaretRect(this.value.length);
+    const box = this.textMesh.boundingBox.clone();
+    box.expandByPoint(new THREE.Vector3(0, 0, 0));
+    box.expandByPoint(new THREE.Vector3(this.width ?? this.fontSize, last.top - last.height, 0));
+    if (point.x < box.min.x || point.x > box.max.x || point.y < box.min.y || point.y > box.max.y) return null;
+    return this.value.length;
+  }
+
+  /**
+   * Focus and place the caret (shift extends, double click selects a word,
+   * triple click selects all)
+   * @private
+   */
+  _handlePointerDown(event) {
+    const offset = this._getPointerOffset(event);
+    if (offset === null) {
+      if (this.focused) this.blur();
+      return;
+    }
+
+    event.preventDefault();
+    this.focus();
+    this._goalX = null;
+
+    if (event.detail === 2) {
+      const start = this._getWordBoundary(Math.min(offset + 1, this.value.length), -1);
+      this.select(start, this._getWordBoundary(start, 1));
+    } else if (event.detail >= 3) {
+      this.selectAll();
+    } else {
+      this._moveCaret(offset, event.shiftKey);
+      this._dragging = true;
+      this.domElement.setPointerCapture(event.pointerId);
+    }
+  }
+
+  /**
+   * Drag selection
+   * @private
+   */
+  _handlePointerMove(event) {
+    if (!this._dragging) return;
+    const offset = this._getPointerOffset(event);
+    if (offset !== null) this._moveCaret(offset, true);
+  }
+
+  /**
+   * End drag selection
+   * @private
+   */
+  _handlePointerUp(event) {
+    if (!this._dragging) return;
+    this._dragging = false;
+    if (this.domElement.hasPointerCapture(event.pointerId)) {
+      this.domElement.releasePointerCapture(event.pointerId);
+    }
+  }
+
+  /**
+   * Track focus and show / hide the caret
+   * @private
+   */
+  _setFocused(focused) {
+    this.focused = focused;
+    this._blinkTime = 0;
+    this.caret.visible = focused;
+    this.dispatchEvent({ type: focused ? 'focus' : 'blur' });
+  }
+
+  /**
+   * Move the hidden textarea over the caret's screen position so IME
+   * candidate windows open next to the text
+   * @private
+   */
+  _placeTextarea() {
+    if (!this.camera || !this.domElement) return;
+
+    this.caret.getWorldPosition(_caretWorld).project(this.camera);
+    const rect = this.domElement.getBoundingClientRect();
+    this.textarea.style.left = `${rect.left + (_caretWorld.x + 1) / 2 * rect.width}px`;
+    this.textarea.style.top = `${rect.top + (1 - _caretWorld.y) / 2 * rect.height}px`;
+  }
+}
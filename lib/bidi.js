@@ -0,0 +1,522 @@
+/**
+ * Unicode Bidirectional Algorithm (UAX #9) for MSDF Text Toolkit
+ *
+ * Resolves embedding levels for a paragraph (rules P2-P3, X1-X10, W1-W7,
+ * N0-N2, I1-I2) and reorders lines for display (L1-L2, L4 mirroring).
+ * Character classes come from a compact range table covering the scripts
+ * and punctuation an MSDF atlas realistically contains.
+ *
+ * @module bidi
+ */
+
+// Explicit ranges, checked before the general-category fallbacks.
+// Each entry: [first, last, class]
+const BIDI_RANGES = [
+  [0x0000, 0x0008, 'BN'], [0x0009, 0x0009, 'S'], [0x000A, 0x000A, 'B'],
+  [0x000B, 0x000B, 'S'], [0x000C, 0x000C, 'WS'], [0x000D, 0x000D, 'B'],
+  [0x000E, 0x001B, 'BN'], [0x001C, 0x001E, 'B'], [0x001F, 0x001F, 'S'],
+  [0x0020, 0x0020, 'WS'], [0x0023, 0x0025, 'ET'], [0x002B, 0x002B, 'ES'],
+  [0x002C, 0x002C, 'CS'], [0x002D, 0x002D, 'ES'], [0x002E, 0x002F, 'CS'],
+  [0x0030, 0x0039, 'EN'], [0x003A, 0x003A, 'CS'], [0x007F, 0x0084, 'BN'],
+  [0x0085, 0x0085, 'B'], [0x0086, 0x009F, 'BN'], [0x00A0, 0x00A0, 'CS'],
+  [0x00A2, 0x00A5, 'ET'], [0x00AD, 0x00AD, 'BN'], [0x00B0, 0x00B1, 'ET'],
+  [0x00B2, 0x00B3, 'EN'], [0x00B9, 0x00B9, 'EN'],
+  [0x0600, 0x0605, 'AN'], [0x0609, 0x060A, 'ET'], [0x060C, 0x060C, 'CS'],
+  [0x061C, 0x061C, 'AL'], [0x0660, 0x0669, 'AN'], [0x066A, 0x066A, 'ET'],
+  [0x066B, 0x066C, 'AN'], [0x06DD, 0x06DD, 'AN'], [0x06F0, 0x06F9, 'EN'],
+  [0x0890, 0x0891, 'AN'], [0x08E2, 0x08E2, 'AN'],
+  [0x1680, 0x1680, 'WS'], [0x180E, 0x180E, 'BN'],
+  [0x2000, 0x200A, 'WS'], [0x200B, 0x200D, 'BN'], [0x200E, 0x200E, 'L'],
+  [0x200F, 0x200F, 'R'], [0x2028, 0x2028, 'WS'], [0x2029, 0x2029, 'B'],
+  [0x202A, 0x202A, 'LRE'], [0x202B, 0x202B, 'RLE'], [0x202C, 0x202C, 'PDF'],
+  [0x202D, 0x202D, 'LRO'], [0x202E, 0x202E, 'RLO'], [0x202F, 0x202F, 'CS'],
+  [0x2030, 0x2034, 'ET'], [0x2044, 0x2044, 'CS'], [0x205F, 0x205F, 'WS'],
+  [0x2060, 0x2064, 'BN'], [0x2066, 0x2066, 'LRI'], [0x2067, 0x2067, 'RLI'],
+  [0x2068, 0x2068, 'FSI'], [0x2069, 0x2069, 'PDI'], [0x206A, 0x206F, 'BN'],
+  [0x2070, 0x2070, 'EN'], [0x2074, 0x2079, 'EN'], [0x207A, 0x207B, 'ES'],
+  [0x2080, 0x2089, 'EN'], [0x208A, 0x208B, 'ES'], [0x20A0, 0x20CF, 'ET'],
+  [0x212E, 0x212E, 'ET'], [0x2212, 0x2212, 'ES'], [0x2213, 0x2213, 'ET'],
+  [0x2488, 0x249B, 'EN'], [0x3000, 0x3000, 'WS'],
+  [0xFB29, 0xFB29, 'ES'], [0xFE50, 0xFE50, 'CS'], [0xFE52, 0xFE52, 'CS'],
+  [0xFE55, 0xFE55, 'CS'], [0xFE5F, 0xFE5F, 'ET'], [0xFE62, 0xFE63, 'ES'],
+  [0xFE69, 0xFE6A, 'ET'], [0xFEFF, 0xFEFF, 'BN'], [0xFF03, 0xFF05, 'ET'],
+  [0xFF0B, 0xFF0B, 'ES'], [0xFF0C, 0xFF0C, 'CS'], [0xFF0D, 0xFF0D, 'ES'],
+  [0xFF0E, 0xFF0F, 'CS'], [0xFF10, 0xFF19, 'EN'], [0xFF1A, 0xFF1A, 'CS'],
+  [0xFFE0, 0xFFE1, 'ET'], [0xFFE5, 0xFFE6, 'ET'],
+  [0x10E60, 0x10E7E, 'AN'], [0x1D7CE, 0x1D7FF, 'EN']
+];
+
+// Right-to-left script blocks (checked after marks, so NSM wins)
+const RTL_RANGES = [
+  [0x0590, 0x05FF, 'R'], [0x0600, 0x07BF, 'AL'], [0x07C0, 0x085F, 'R'],
+  [0x0860, 0x08FF, 'AL'], [0xFB1D, 0xFB4F, 'R'], [0xFB50, 0xFDCF, 'AL'],
+  [0xFDF0, 0xFDFF, 'AL'], [0xFE70, 0xFEFF, 'AL'],
+  [0x10D00, 0x10D3F, 'AL'], [0x10EC0, 0x10EFF, 'AL'], [0x10F30, 0x10F6F, 'AL'],
+  [0x10800, 0x10FFF, 'R'],
+  [0x1EC70, 0x1ECBF, 'AL'], [0x1ED00, 0x1ED4F, 'AL'], [0x1EE00, 0x1EEFF, 'AL'],
+  [0x1E800, 0x1EFFF, 'R']
+];
+
+// Bracket pairs for rule N0 (opening -> closing)
+const BRACKET_PAIRS = new Map([
+  [0x0028, 0x0029], [0x005B, 0x005D], [0x007B, 0x007D], [0x0F3A, 0x0F3B],
+  [0x0F3C, 0x0F3D], [0x169B, 0x169C], [0x2045, 0x2046], [0x207D, 0x207E],
+  [0x208D, 0x208E], [0x2329, 0x232A], [0x2768, 0x2769], [0x276A, 0x276B],
+  [0x2983, 0x2984], [0x3008, 0x3009], [0x300A, 0x300B], [0x300C, 0x300D],
+  [0x300E, 0x300F], [0x3010, 0x3011], [0xFE59, 0xFE5A], [0xFF08, 0xFF09],
+  [0xFF3B, 0xFF3D], [0xFF5B, 0xFF5D]
+]);
+const CLOSING_BRACKETS = new Map(Array.from(BRACKET_PAIRS, ([open, close]) => [close, open]));
+
+// Bidi_Mirroring_Glyph pairs (rule L4), both directions
+const MIRROR_PAIRS = [
+  ...BRACKET_PAIRS,
+  [0x003C, 0x003E], [0x00AB, 0x00BB], [0x2039, 0x203A], [0x2264, 0x2265],
+  [0x226A, 0x226B], [0x2282, 0x2283], [0x2286, 0x2287], [0x27E8, 0x27E9]
+];
+const MIRRORS = new Map();
+for (const [a, b] of MIRROR_PAIRS) {
+  MIRRORS.set(a, b);
+  MIRRORS.set(b, a);
+}
+
+const MAX_DEPTH = 125;
+const STRONG = new Set(['L', 'R', 'AL']);
+const ISOLATE_INITIATORS = new Set(['LRI', 'RLI', 'FSI']);
+const EMBEDDING_CONTROLS = new Set(['LRE', 'RLE', 'LRO', 'RLO', 'PDF', 'BN']);
+const NEUTRAL_OR_ISOLATE = new Set(['B', 'S', 'WS', 'ON', 'LRI', 'RLI', 'FSI', 'PDI']);
+
+function findRange(ranges, codePoint) {
+  for (const [first, last, bidiClass] of ranges) {
+    if (codePoint >= first && codePoint <= last) return bidiClass;
+  }
+  return null;
+}
+
+/**
+ * Get the Bidi_Class of a code point
+ * @param {number} codePoint - Unicode code point
+ * @returns {string} Bidi class ('L', 'R', 'AL', 'EN', 'NSM', 'ON', ...)
+ */
+export function getBidiClass(codePoint) {
+  const explicit = findRange(BIDI_RANGES, codePoint);
+  if (explicit) return explicit;
+
+  const char = String.fromCodePoint(codePoint);
+  if (/[\p{Mn}\p{Me}]/u.test(char)) return 'NSM';
+
+  const rtl = findRange(RTL_RANGES, codePoint);
+  if (rtl) return rtl;
+
+  if (/[\p{L}\p{Mc}\p{Nd}\p{Nl}]/u.test(char)) return 'L';
+  if (/[\p{P}\p{S}\p{No}\p{Zs}]/u.test(char)) return 'ON';
+  if (/\p{Cf}/u.test(char)) return 'BN';
+  return 'L';
+}
+
+/**
+ * Get the mirrored counterpart of a code point (e.g. '(' -> ')')
+ * @param {number} codePoint - Unicode code point
+ * @returns {number|null} Mirrored code point, or null if none
+ */
+export function getMirroredCodePoint(codePoint) {
+  return MIRRORS.get(codePoint) ?? null;
+}
+
+/**
+ * Find the matching PDI for every isolate initiator (BD9)
+ * @private
+ */
+function matchIsolates(types) {
+  const matches = new Int32Array(types.length).fill(-1);
+  const stack = [];
+  for (let i = 0; i < types.length; i++) {
+    if (ISOLATE_INITIATORS.has(types[i])) {
+      stack.push(i);
+    } else if (types[i] === 'PDI' && stack.length > 0) {
+      matches[stack.pop()] = i;
+    } else if (types[i] === 'B') {
+      stack.length = 0;
+    }
+  }
+  return matches;
+}
+
+/**
+ * Direction of the first strong character, skipping isolates (P2)
+ * @private
+ */
+function firstStrongLevel(types, start, end, matches) {
+  for (let i = start; i < end; i++) {
+    const type = types[i];
+    if (type === 'L') return 0;
+    if (type === 'R' || type === 'AL') return 1;
+    if (ISOLATE_INITIATORS.has(type)) {
+      if (matches[i] < 0) break;
+      i = matches[i];
+    }
+  }
+  return -1;
+}
+
+/**
+ * Resolve the paragraph embedding level for a direction option (P2-P3)
+ * @param {number[]} codePoints - Paragraph code points
+ * @param {string} [direction='auto'] - 'ltr', 'rtl' or 'auto'
+ * @returns {number} 0 for LTR, 1 for RTL
+ */
+export function getParagraphLevel(codePoints, direction = 'auto') {
+  if (direction === 'ltr') return 0;
+  if (direction === 'rtl') return 1;
+  const types = codePoints.map(getBidiClass);
+  return Math.max(0, firstStrongLevel(types, 0, types.length, matchIsolates(types)));
+}
+
+/**
+ * Resolve embedding levels for one paragraph
+ * @param {number[]} codePoints - Paragraph code points (no paragraph separators)
+ * @param {string} [direction='auto'] - Base direction: 'ltr', 'rtl' or 'auto'
+ * @returns {{levels: Uint8Array, paragraphLevel: number, types: string[]}}
+ */
+export function resolveBidiLevels(codePoints, direction = 'auto') {
+  const length = codePoints.length;
+  const originalTypes = codePoints.map(getBidiClass);
+  const types = originalTypes.slice();
+  const levels = new Uint8Array(length);
+  const matches = matchIsolates(types);
+
+  let paragraphLevel = direction === 'rtl' ? 1 : 0;
+  if (direction === 'auto') {
+    paragraphLevel = Math.max(0, firstStrongLevel(types, 0, length, matches));
+  }
+
+  // Fast path: nothing that could produce a non-zero level
+  if (paragraphLevel === 0 && !originalTypes.some((t) =>
+    t === 'R' || t === 'AL' || t === 'AN' || t === 'RLE' || t === 'RLO' || t === 'RLI' || t === 'FSI')) {
+    return { levels, paragraphLevel, types: originalTypes };
+  }
+
+  // X1-X8: explicit embeddings, overrides and isolates
+  const stack = [{ level: paragraphLevel, override: null, isolate: false }];
+  let overflowIsolates = 0;
+  let overflowEmbeddings = 0;
+  let validIsolates = 0;
+
+  for (let i = 0; i < length; i++) {
+    const type = types[i];
+    const top = stack[stack.length - 1];
+
+    if (type === 'RLE' || type === 'LRE' || type === 'RLO' || type === 'LRO') {
+      const rtl = type === 'RLE' || type === 'RLO';
+      const level = rtl ? (top.level + 1) | 1 : (top.level + 2) & ~1;
+      levels[i] = top.level;
+      if (level <= MAX_DEPTH && overflowIsolates === 0 && overflowEmbeddings === 0) {
+        const override = type === 'RLO' ? 'R' : type === 'LRO' ? 'L' : null;
+        stack.push({ level, override, isolate: false });
+      } else if (overflowIsolates === 0) {
+        overflowEmbeddings++;
+      }
+    } else if (ISOLATE_INITIATORS.has(type)) {
+      levels[i] = top.level;
+      if (top.override) types[i] = top.override;
+
+      let rtl = type === 'RLI';
+      if (type === 'FSI') {
+        const end = matches[i] < 0 ? length : matches[i];
+        rtl = firstStrongLevel(originalTypes, i + 1, end, matches) === 1;
+      }
+      const level = rtl ? (top.level + 1) | 1 : (top.level + 2) & ~1;
+      if (level <= MAX_DEPTH && overflowIsolates === 0 && overflowEmbeddings === 0) {
+        validIsolates++;
+        stack.push({ level, override: null, isolate: true });
+      } else {
+        overflowIsolates++;
+      }
+    } else if (type === 'PDI') {
+      if (overflowIsolates > 0) {
+        overflowIsolates--;
+      } else if (validIsolates > 0) {
+        overflowEmbeddings = 0;
+        while (!stack[stack.length - 1].isolate) stack.pop();
+        stack.pop();
+        validIsolates--;
+      }
+      const current = stack[stack.length - 1];
+      levels[i] = current.level;
+      if (current.override) types[i] = current.override;
+    } else if (type === 'PDF') {
+      levels[i] = top.level;
+      if (overflowIsolates > 0) {
+        // Ignored inside an overflowed isolate
+      } else if (overflowEmbeddings > 0) {
+        overflowEmbeddings--;
+      } else if (!top.isolate && stack.length >= 2) {
+        stack.pop();
+      }
+    } else if (type === 'B') {
+      levels[i] = paragraphLevel;
+    } else {
+      levels[i] = top.level;
+      if (top.override && type !== 'BN') types[i] = top.override;
+    }
+  }
+
+  // X9: embedding controls and BN are removed from further processing
+  const kept = [];
+  for (let i = 0; i < length; i++) {
+    if (!EMBEDDING_CONTROLS.has(originalTypes[i])) kept.push(i);
+  }
+
+  // X10: level runs joined into isolating run sequences
+  const runs = [];
+  for (let k = 0; k < kept.length; k++) {
+    const i = kept[k];
+    const run = runs[runs.length - 1];
+    if (run && levels[run[run.length - 1]] === levels[i]) run.push(i);
+    else runs.push([i]);
+  }
+
+  const runStartingAt = new Map(runs.map((run) => [run[0], run]));
+  const sequences = [];
+  for (const run of runs) {
+    // Runs starting with a matched PDI are appended to their initiator's sequence
+    if (originalTypes[run[0]] === 'PDI' && matches.includes(run[0])) continue;
+    const sequence = [];
+    let current = run;
+    while (current) {
+      sequence.push(...current);
+      const last = current[current.length - 1];
+      const pdi = ISOLATE_INITIATORS.has(originalTypes[last]) ? matches[last] : -1;
+      current = pdi >= 0 ? runStartingAt.get(pdi) : null;
+    }
+    sequences.push(sequence);
+  }
+
+  const keptPosition = new Int32Array(length).fill(-1);
+  kept.forEach((i, k) => { keptPosition[i] = k; });
+
+  for (const sequence of sequences) {
+    resolveSequence(sequence, {
+      types, originalTypes, levels, codePoints, kept, keptPosition, paragraphLevel
+    });
+  }
+
+  // Removed characters take the level of the preceding character
+  let previousLevel = paragraphLevel;
+  for (let i = 0; i < length; i++) {
+    if (EMBEDDING_CONTROLS.has(originalTypes[i])) levels[i] = previousLevel;
+    else previousLevel = levels[i];
+  }
+
+  return { levels, paragraphLevel, types: originalTypes };
+}
+
+/**
+ * Apply W1-W7, N0-N2 and I1-I2 to one isolating run sequence
+ * @private
+ */
+function resolveSequence(sequence, context) {
+  const { types, originalTypes, levels, codePoints, kept, keptPosition, paragraphLevel } = context;
+  const level = levels[sequence[0]];
+  const embeddingType = level & 1 ? 'R' : 'L';
+
+  // sos / eos from the neighbouring levels (X10)
+  const firstKept = keptPosition[sequence[0]];
+  const before = firstKept > 0 ? levels[kept[firstKept - 1]] : paragraphLevel;
+  const last = sequence[sequence.length - 1];
+  const lastKept = keptPosition[last];
+  const endsWithIsolate = ISOLATE_INITIATORS.has(originalTypes[last]);
+  const after = !endsWithIsolate && lastKept < kept.length - 1 ? levels[kept[lastKept + 1]] : paragraphLevel;
+  const sos = Math.max(before, level) & 1 ? 'R' : 'L';
+  const eos = Math.max(after, level) & 1 ? 'R' : 'L';
+
+  const seqTypes = sequence.map((i) => types[i]);
+  const n = seqTypes.length;
+
+  // W1: NSM takes the type of the previous character
+  for (let k = 0; k < n; k++) {
+    if (seqTypes[k] !== 'NSM') continue;
+    const prev = k > 0 ? seqTypes[k - 1] : sos;
+    seqTypes[k] = ISOLATE_INITIATORS.has(prev) || prev === 'PDI' ? 'ON' : prev;
+  }
+
+  // W2: EN after AL becomes AN; W3: AL becomes R
+  let lastStrong = sos;
+  for (let k = 0; k < n; k++) {
+    const type = seqTypes[k];
+    if (STRONG.has(type)) lastStrong = type;
+    else if (type === 'EN' && lastStrong === 'AL') seqTypes[k] = 'AN';
+  }
+  for (let k = 0; k < n; k++) {
+    if (seqTypes[k] === 'AL') seqTypes[k] = 'R';
+  }
+
+  // W4: single separators between numbers
+  for (let k = 1; k < n - 1; k++) {
+    const type = seqTypes[k];
+    const prev = seqTypes[k - 1];
+    const next = seqTypes[k + 1];
+    if (type === 'ES' && prev === 'EN' && next === 'EN') seqTypes[k] = 'EN';
+    else if (type === 'CS' && prev === next && (prev === 'EN' || prev === 'AN')) seqTypes[k] = prev;
+  }
+
+  // W5: terminators adjacent to European numbers
+  for (let k = 0; k < n; k++) {
+    if (seqTypes[k] !== 'ET') continue;
+    let end = k;
+    while (end < n && seqTypes[end] === 'ET') end++;
+    const touchesEN = (k > 0 && seqTypes[k - 1] === 'EN') || (end < n && seqTypes[end] === 'EN');
+    if (touchesEN) {
+      for (let j = k; j < end; j++) seqTypes[j] = 'EN';
+    }
+    k = end - 1;
+  }
+
+  // W6: remaining separators and terminators become neutral
+  for (let k = 0; k < n; k++) {
+    const type = seqTypes[k];
+    if (type === 'ES' || type === 'ET' || type === 'CS') seqTypes[k] = 'ON';
+  }
+
+  // W7: European numbers in an L context become L
+  lastStrong = sos;
+  for (let k = 0; k < n; k++) {
+    const type = seqTypes[k];
+    if (type === 'L' || type === 'R') lastStrong = type;
+    else if (type === 'EN' && lastStrong === 'L') seqTypes[k] = 'L';
+  }
+
+  // N0: paired brackets
+  const strongOf = (type) => (type === 'EN' || type === 'AN' ? 'R' : type);
+  const pairs = [];
+  const openers = [];
+  for (let k = 0; k < n; k++) {
+    if (seqTypes[k] !== 'ON') continue;
+    const codePoint = codePoints[sequence[k]];
+    if (BRACKET_PAIRS.has(codePoint)) {
+      if (openers.length >= 63) break;
+      openers.push({ k, closing: BRACKET_PAIRS.get(codePoint) });
+    } else if (CLOSING_BRACKETS.has(codePoint)) {
+      for (let s = openers.length - 1; s >= 0; s--) {
+        if (openers[s].closing === codePoint) {
+          pairs.push([openers[s].k, k]);
+          openers.length = s;
+          break;
+        }
+      }
+    }
+  }
+  pairs.sort((a, b) => a[0] - b[0]);
+
+  for (const [open, close] of pairs) {
+    let foundEmbedding = false;
+    let foundOpposite = false;
+    for (let k = open + 1; k < close; k++) {
+      const strong = strongOf(seqTypes[k]);
+      if (strong === embeddingType) foundEmbedding = true;
+      else if (strong === 'L' || strong === 'R') foundOpposite = true;
+    }
+
+    let resolved = null;
+    if (foundEmbedding) {
+      resolved = embeddingType;
+    } else if (foundOpposite) {
+      let context = sos;
+      for (let k = open - 1; k >= 0; k--) {
+        const strong = strongOf(seqTypes[k]);
+        if (strong === 'L' || strong === 'R') { context = strong; break; }
+      }
+      resolved = context;
+    }
+
+    if (resolved) {
+      for (const k of [open, close]) {
+        seqTypes[k] = resolved;
+        // NSMs following a bracket take its new type
+        for (let j = k + 1; j < n && originalTypes[sequence[j]] === 'NSM'; j++) {
+          seqTypes[j] = resolved;
+        }
+      }
+    }
+  }
+
+  // N1/N2: neutrals between strong types of equal direction take it,
+  // everything else takes the embedding direction
+  for (let k = 0; k < n; k++) {
+    if (!NEUTRAL_OR_ISOLATE.has(seqTypes[k])) continue;
+    let end = k;
+    while (end < n && NEUTRAL_OR_ISOLATE.has(seqTypes[end])) end++;
+    const leading = k > 0 ? strongOf(seqTypes[k - 1]) : sos;
+    const trailing = end < n ? strongOf(seqTypes[end]) : eos;
+    const resolved = leading === trailing ? leading : embeddingType;
+    for (let j = k; j < end; j++) seqTypes[j] = resolved;
+    k = end - 1;
+  }
+
+  // I1/I2: implicit levels
+  for (let k = 0; k < n; k++) {
+    const i = sequence[k];
+    const type = seqTypes[k];
+    if ((levels[i] & 1) === 0) {
+      if (type === 'R') levels[i] += 1;
+      else if (type === 'AN' || type === 'EN') levels[i] += 2;
+    } else if (type === 'L' || type === 'EN' || type === 'AN') {
+      levels[i] += 1;
+    }
+  }
+}
+
+/**
+ * Compute the visual order of one line (L1-L2)
+ * @param {Uint8Array|number[]} levels - Resolved levels for the paragraph
+ * @param {string[]} types - Original bidi classes for the paragraph
+ * @param {number} paragraphLevel - Paragraph embedding level
+ * @param {number} start - First index of the line (inclusive)
+ * @param {number} end - Last index of the line (exclusive)
+ * @returns {{order: number[], levels: number[]}} Logical indices in visual
+ *   (left-to-right) order, and the line-adjusted level of each index
+ */
+export function reorderLine(levels, types, paragraphLevel, start, end) {
+  const lineLevels = [];
+  for (let i = start; i < end; i++) lineLevels.push(levels[i]);
+
+  // L1: segment/paragraph separators and trailing whitespace reset
+  let trailing = true;
+  for (let i = end - 1; i >= start; i--) {
+    const type = types[i];
+    if (type === 'S' || type === 'B') {
+      lineLevels[i - start] = paragraphLevel;
+      trailing = true;
+    } else if (trailing && (type === 'WS' || ISOLATE_INITIATORS.has(type) ||
+        type === 'PDI' || EMBEDDING_CONTROLS.has(type))) {
+      lineLevels[i - start] = paragraphLevel;
+    } else {
+      trailing = false;
+    }
+  }
+
+  // L2: reverse runs from the highest level down to the lowest odd level
+  const order = lineLevels.map((_, k) => k);
+  let highest = 0;
+  let lowestOdd = Infinity;
+  for (const level of lineLevels) {
+    highest = Math.max(highest, level);
+    if (level & 1) lowestOdd = Math.min(lowestOdd, level);
+  }
+
+  for (let level = highest; level >= lowestOdd; level--) {
+    for (let k = 0; k < order.length; k++) {
+      if (lineLevels[order[k]] < level) continue;
+      let runEnd = k;
+      while (runEnd < order.length && lineLevels[order[runEnd]] >= level) runEnd++;
+      const reversed = order.slice(k, runEnd).reverse();
+      order.splice(k, reversed.length, ...reversed);
+      k = runEnd - 1;
+    }
+  }
+
+  return {
+    order: order.map((k) => k + start),
+    levels: lineLevels
+  };
+}
@@ -6,6 +6,7 @@
  */
 
 import * as THREE from 'three';
+import { buildGlyphMap } from '../textLayout.js';
 
 export class MatrixRain {
   /**
@@ -27,6 +28,10 @@ export class MatrixRain {
 
     this.textMesh = textMesh;
     this.columns = [];
+
+    // Glyphs move every frame, so skip culling instead of recomputing bounds
+    this._frustumCulled = textMesh.frustumCulled;
+    textMesh.frustumCulled = false;
     this.densityFactor = densityFactor;
     this.active = true;
 
@@ -47,15 +52,11 @@ export class MatrixRain {
       throw new Error('MatrixRain: Could not get font data from text mesh');
     }
 
-    // Build glyph map
-    this.glyphMap = new Map();
-    for (const charData of fontData.data.chars) {
-      this.glyphMap.set(String.fromCharCode(charData.id), charData);
-    }
-    this.glyphArray = Array.from(this.glyphMap.keys()).filter(c => c.trim() !== '');
+    // Build glyph map (keyed by code point)
+    this.glyphMap = buildGlyphMap(fontData);
+    this.glyphArray = Array.from(this.glyphMap.keys())
+      .filter(codePoint => String.fromCodePoint(codePoint).trim() !== '');
 
-    this.texW = fontData.data.common.scaleW;
-    this.texH = fontData.data.common.scaleH;
     this.scale = 0.01;
     this.charSize = charSize;
     this.viewHeight = viewHeight;
@@ -95,7 +96,6 @@ export class MatrixRain {
    */
   _initializeInstances() {
     const geometry = this.textMesh.geometry;
-    const uvOffset = geometry.attributes.uvOffset.array;
     const dummy = new THREE.Object3D();
 
     for (const column of this.columns) {
@@ -110,19 +110,17 @@ export class MatrixRain {
         this.textMesh.setMatrixAt(idx, dummy.matrix);
 
         // Set random character
-        const char = this.glyphArray[Math.floor(Math.random() * this.glyphArray.length)];
-        const glyph = this.glyphMap.get(char);
+        const codePoint = this.glyphArray[Math.floor(Math.random() * this.glyphArray.length)];
+        const glyph = this.glyphMap.get(codePoint);
         if (glyph) {
-          uvOffset[idx * 4 + 0] = glyph.x / this.texW;
-          uvOffset[idx * 4 + 1] = (glyph.y + glyph.height) / this.texH;
-          uvOffset[idx * 4 + 2] = glyph.width / this.texW;
-          uvOffset[idx * 4 + 3] = -glyph.height / this.texH;
+          this.textMesh.setCharacterGlyph(idx, glyph);
         }
       }
     }
 
     this.textMesh.instanceMatrix.needsUpdate = true;
     geometry.attributes.uvOffset.needsUpdate = true;
+    geometry.attributes.instancePage.needsUpdate = true;
   }
 
   /**
@@ -133,7 +131,6 @@ export class MatrixRain {
 
     const dummy = new THREE.Object3D();
     const geometry = this.textMesh.geometry;
-    const uvOffset = geometry.attributes.uvOffset.array;
     const colors = geometry.attributes.instanceColor.array;
     const glowModes = geometry.attributes.instanceGlowMode.array;
     const outlineColors = geometry.attributes.instanceOutlineColor.array;
@@ -160,15 +157,12 @@ export class MatrixRain {
 
         // Randomly change character
         if (Math.random() > 0.98) {
-          const char = this.glyphArray[
+          const codePoint = this.glyphArray[
             Math.floor(Math.random() * this.glyphArray.length)
           ];
-          const glyph = this.glyphMap.get(char);
+          const glyph = this.glyphMap.get(codePoint);
           if (glyph) {
-            uvOffset[idx * 4 + 0] = glyph.x / this.texW;
-            uvOffset[idx * 4 + 1] = (glyph.y + glyph.height) / this.texH;
-            uvOffset[idx * 4 + 2] = glyph.width / this.texW;
-            uvOffset[idx * 4 + 3] = -glyph.height / this.texH;
+            this.textMesh.setCharacterGlyph(idx, glyph);
           }
         }
 
@@ -195,6 +189,7 @@ export class MatrixRain {
 
     this.textMesh.instanceMatrix.needsUpdate = true;
     geometry.attributes.uvOffset.needsUpdate = true;
+    geometry.attributes.instancePage.needsUpdate = true;
     geometry.attributes.instanceColor.needsUpdate = true;
     geometry.attributes.instanceGlowMode.needsUpdate = true;
     geometry.attributes.instanceOutlineColor.needsUpdate = true;
@@ -229,6 +224,7 @@ export class MatrixRain {
     this.active = false;
     this.columns = [];
     this.glyphMap.clear();
+    this.textMesh.frustumCulled = this._frustumCulled;
   }
 }
 
@@ -0,0 +1,166 @@
+/**
+ * Path layout for MSDF Text Toolkit
+ *
+ * Bends a straight text layout (from textLayout.layoutText) along any
+ * THREE.Curve, 2D or 3D. Each glyph is placed at its arc-length position
+ * and rotated to the curve tangent.
+ *
+ * Spacing is measured along the line's own offset curve (the path pushed
+ * sideways to the line's baseline), not along the path itself, so glyphs
+ * keep their advances on tight curves instead of bunching up on the inside
+ * of a bend or spreading out on the outside.
+ *
+ * @module pathLayout
+ */
+
+import * as THREE from 'three';
+
+// Curve samples used to build the arc-length tables
+const PATH_SAMPLES = 512;
+
+const _point = new THREE.Vector3();
+const _tangent = new THREE.Vector3();
+const _side = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _basis = new THREE.Matrix4();
+
+/**
+ * Read a curve point or tangent as a Vector3 (2D curves lie in the XY plane)
+ * @private
+ */
+function toVector3(value, target) {
+  return target.set(value.x, value.y, value.z ?? 0);
+}
+
+/**
+ * Sample the curve evenly by arc length: points, unit tangents and the
+ * in-plane side direction (up × tangent, where glyph tops point)
+ * @private
+ */
+function sampleCurve(curve, up) {
+  const samples = [];
+  for (let i = 0; i <= PATH_SAMPLES; i++) {
+    const u = i / PATH_SAMPLES;
+    const point = toVector3(curve.getPointAt(u), new THREE.Vector3());
+    const tangent = toVector3(curve.getTangentAt(u), new THREE.Vector3()).normalize();
+    const side = new THREE.Vector3().crossVectors(up, tangent);
+    // Tangent parallel to up: keep the previous side direction
+    if (side.lengthSq() < 1e-12) {
+      side.copy(samples.length ? samples[samples.length - 1].side : new THREE.Vector3(0, 1, 0));
+    }
+    samples.push({ point, tangent, side: side.normalize() });
+  }
+  return samples;
+}
+
+/**
+ * Cumulative length of the curve offset sideways by `offset`
+ * @private
+ */
+function offsetLengths(samples, offset) {
+  const lengths = new Float64Array(samples.length);
+  const prev = new THREE.Vector3();
+  const current = new THREE.Vector3();
+  prev.copy(samples[0].point).addScaledVector(samples[0].side, offset);
+  for (let i = 1; i < samples.length; i++) {
+    current.copy(samples[i].point).addScaledVector(samples[i].side, offset);
+    lengths[i] = lengths[i - 1] + current.distanceTo(prev);
+    prev.copy(current);
+  }
+  return lengths;
+}
+
+/**
+ * Frame (point, tangent, side) at a distance along an offset curve.
+ * Distances before the start or past the end continue along the end tangent.
+ * @private
+ */
+function frameAt(samples, lengths, distance, target) {
+  const last = samples.length - 1;
+  const total = lengths[last];
+  let a;
+  let t;
+
+  if (distance <= 0 || total === 0) {
+    a = 0;
+    t = total === 0 ? 0 : distance / (lengths[1] || 1);
+  } else if (distance >= total) {
+    a = last - 1;
+    t = 1 + (distance - total) / ((lengths[last] - lengths[last - 1]) || 1);
+  } else {
+    // Binary search for the segment containing the distance
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (lengths[mid] <= distance) lo = mid;
+      else hi = mid;
+    }
+    a = lo;
+    t = (distance - lengths[lo]) / ((lengths[hi] - lengths[lo]) || 1);
+  }
+
+  const s0 = samples[a];
+  const s1 = samples[Math.min(a + 1, last)];
+  target.point.lerpVectors(s0.point, s1.point, t);
+  target.tangent.lerpVectors(s0.tangent, s1.tangent, Math.min(Math.max(t, 0), 1)).normalize();
+  target.side.lerpVectors(s0.side, s1.side, Math.min(Math.max(t, 0), 1)).normalize();
+  return target;
+}
+
+/**
+ * Place laid-out glyphs along a curve
+ *
+ * The straight layout's x becomes the distance along the curve and its y the
+ * sideways distance from it (so with anchorY 'baseline' the first baseline
+ * runs along the path).
+ *
+ * @param {Object} layout - Result of textLayout.layoutText
+ * @param {THREE.Curve} curve - Any THREE.Curve (Vector2 curves lie in the XY plane)
+ * @param {Object} [options]
+ * @param {string} [options.pathAlign='start'] - Where x = 0 of the layout falls:
+ *   'start', 'center' or 'end' of the curve
+ * @param {number} [options.pathOffset=0] - Extra distance along the curve (world units)
+ * @param {THREE.Vector3} [options.pathUp=(0, 0, 1)] - Normal of the surface the
+ *   text lies on (the direction the text faces); glyph tops point along
+ *   pathUp × tangent
+ * @returns {THREE.Matrix4[]} Instance matrices, indexed like layout.glyphs
+ */
+export function layoutOnPath(layout, curve, options = {}) {
+  const {
+    pathAlign = 'start',
+    pathOffset = 0,
+    pathUp = new THREE.Vector3(0, 0, 1)
+  } = options;
+
+  const up = pathUp.clone().normalize();
+  const samples = sampleCurve(curve, up);
+  const pathLength = curve.getLength();
+  const start = { start: 0, center: pathLength / 2, end: pathLength }[pathAlign] + pathOffset;
+
+  // Arc-length tables per line, measured along the line's baseline
+  const lineLengths = layout.lines.map((line) => {
+    const lengths = offsetLengths(samples, line.baseline);
+    // Scale path distances onto the offset curve
+    const ratio = pathLength > 0 ? lengths[lengths.length - 1] / pathLength : 1;
+    return { lengths, ratio };
+  });
+
+  const frame = { point: _point, tangent: _tangent, side: _side };
+
+  return layout.glyphs.map((quad) => {
+    const { lengths, ratio } = lineLengths[quad.line];
+    frameAt(samples, lengths, start * ratio + quad.x, frame);
+
+    // Glyph centre: the path point pushed sideways by the glyph's layout y
+    const matrix = new THREE.Matrix4();
+    _normal.crossVectors(frame.tangent, frame.side).normalize();
+    _basis.makeBasis(frame.tangent, frame.side, _normal);
+    matrix.copy(_basis).scale(new THREE.Vector3(quad.width, quad.height, 1));
+    matrix.setPosition(
+      frame.point.clone()
+        .addScaledVector(frame.side, quad.y)
+    );
+    return matrix;
+  });
+}
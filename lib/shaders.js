@@ -7,39 +7,479 @@
  * @module shaders
  */
 
+/**
+ * Atlas sampling, shared by the ShaderMaterial and the injected material.
+ * Multi-page atlases (MSDF_PAGES defined) are bound as a texture array and
+ * every instance picks its layer through the instancePage attribute.
+ */
+export const msdfSamplerChunk = `
+  #ifdef MSDF_PAGES
+    uniform sampler2DArray msdfTexture;
+    varying float vPage;
+
+    vec3 sampleMSDF(vec2 uv) {
+      return texture(msdfTexture, vec3(uv, floor(vPage + 0.5))).rgb;
+    }
+  #else
+    uniform sampler2D msdfTexture;
+
+    vec3 sampleMSDF(vec2 uv) {
+      return texture2D(msdfTexture, uv).rgb;
+    }
+  #endif
+`;
+
+/**
+ * Per-glyph offset, rotation and scale, shared by the ShaderMaterial and the
+ * injected material. They are applied around the glyph centre, in the glyph's
+ * own frame (the layout axes, or the curve frame for path text), before the
+ * layout placement in instanceMatrix, so effects never touch the layout.
+ */
+export const msdfGlyphTransformChunk = `
+  attribute vec3 instanceOffset;   // Layout units, in the glyph's frame
+  attribute vec3 instanceRotation; // Euler angles (XYZ order, radians)
+  attribute vec2 instanceScale;    // Multiplies the glyph quad size
+  uniform float msdfEm;            // Layout units per em (fontSize)
+
+  mat3 msdfRotation(vec3 angles) {
+    vec3 c = cos(angles);
+    vec3 s = sin(angles);
+    mat3 rx = mat3(1.0, 0.0, 0.0, 0.0, c.x, s.x, 0.0, -s.x, c.x);
+    mat3 ry = mat3(c.y, 0.0, -s.y, 0.0, 1.0, 0.0, s.y, 0.0, c.y);
+    mat3 rz = mat3(c.z, s.z, 0.0, -s.z, c.z, 0.0, 0.0, 0.0, 1.0);
+    return rx * ry * rz;
+  }
+
+  // Rotation part of the layout placement (unit axes)
+  mat3 msdfGlyphFrame() {
+    return mat3(
+      normalize(instanceMatrix[0].xyz),
+      normalize(instanceMatrix[1].xyz),
+      normalize(instanceMatrix[2].xyz)
+    );
+  }
+
+  // Layout-space position of a quad vertex; extraOffset / extraScale come
+  // on top of the glyph's own (e.g. from msdfAnimation)
+  vec3 msdfGlyphPosition(vec3 position, vec3 extraOffset, vec2 extraScale) {
+    float width = length(instanceMatrix[0].xyz);
+    float height = length(instanceMatrix[1].xyz);
+    // Parked and empty instances stay collapsed
+    if (width * height == 0.0) return instanceMatrix[3].xyz;
+
+    vec3 local = vec3(position.xy * vec2(width, height) * instanceScale * extraScale, position.z);
+    vec3 offset = instanceOffset + extraOffset;
+    return instanceMatrix[3].xyz + msdfGlyphFrame() * (msdfRotation(instanceRotation) * local + offset);
+  }
+
+  // Layout-space normal of a glyph
+  vec3 msdfGlyphNormal(vec3 normal) {
+    if (length(instanceMatrix[0].xyz) * length(instanceMatrix[1].xyz) == 0.0) return normal;
+    return msdfGlyphFrame() * (msdfRotation(instanceRotation) * normal);
+  }
+`;
+
+/**
+ * Animation preset ids, as stored in the instanceAnimation attribute
+ */
+export const animationPresets = Object.freeze({
+  none: 0,
+  fadeIn: 1,      // Alpha 0 -> 1
+  wave: 2,        // Bob up and down; duration is the period
+  pop: 3,         // Scale 0 -> 1 with overshoot
+  slide: 4,       // Rise into place while fading in
+  colorCycle: 5   // Cycle the fill colour through the hues; duration is the period
+});
+
+/**
+ * Per-glyph animation presets evaluated on the GPU, shared by the
+ * ShaderMaterial and the injected material. Each instance carries its preset,
+ * start delay, duration and amplitude; msdfTime drives them all, so playing
+ * an animation costs one uniform update per frame.
+ */
+export const msdfAnimationChunk = `
+  struct MsdfAnimation {
+    vec3 offset; // Layout units, added to the glyph offset
+    vec2 scale;  // Multiplies the glyph scale
+    vec4 color;  // Multiplies the fill colour and alpha
+  };
+
+  #ifdef MSDF_ANIMATION
+    attribute vec4 instanceAnimation; // preset, delay (s), duration (s), amplitude
+    uniform float msdfTime;           // Animation clock (s)
+
+    MsdfAnimation msdfAnimation() {
+      MsdfAnimation anim = MsdfAnimation(vec3(0.0), vec2(1.0), vec4(1.0));
+      int preset = int(instanceAnimation.x + 0.5);
+      float elapsed = msdfTime - instanceAnimation.y;
+      float phase = elapsed / max(instanceAnimation.z, 1e-4); // Periodic presets
+      float t = clamp(phase, 0.0, 1.0);                       // One-shot presets
+      float amplitude = instanceAnimation.w;
+
+      if (preset == 1) {
+        anim.color.a = t * t * (3.0 - 2.0 * t);
+      } else if (preset == 2) {
+        anim.offset.y = sin(phase * 6.28318530718) * amplitude * msdfEm;
+      } else if (preset == 3) {
+        // Ease out back; amplitude scales the overshoot
+        float c = 1.70158 * amplitude;
+        float u = t - 1.0;
+        anim.scale = vec2(1.0 + (c + 1.0) * u * u * u + c * u * u);
+      } else if (preset == 4) {
+        anim.offset.y = -pow(1.0 - t, 3.0) * amplitude * msdfEm;
+        anim.color.a = t;
+      } else if (preset == 5) {
+        vec3 hue = 0.5 + 0.5 * cos(6.28318530718 * (phase + vec3(0.0, 0.33333, 0.66667)));
+        anim.color.rgb = mix(vec3(1.0), hue, clamp(amplitude, 0.0, 1.0));
+      }
+      return anim;
+    }
+  #else
+    MsdfAnimation msdfAnimation() {
+      return MsdfAnimation(vec3(0.0), vec2(1.0), vec4(1.0));
+    }
+  #endif
+`;
+
+/**
+ * Billboarding and constant screen size, shared by the ShaderMaterial and the
+ * injected material. The mesh origin is the anchor: glyph offsets from it are
+ * turned to face the camera (MSDF_BILLBOARD_SPHERICAL, or
+ * MSDF_BILLBOARD_CYLINDRICAL around world Y) and/or scaled so one layout unit
+ * covers msdfPixelScale CSS pixels (MSDF_SCREEN_SIZE).
+ */
+export const msdfBillboardChunk = `
+  #if defined( MSDF_BILLBOARD_SPHERICAL ) || defined( MSDF_BILLBOARD_CYLINDRICAL )
+    #define MSDF_BILLBOARD
+  #endif
+
+  #if defined( MSDF_BILLBOARD ) || defined( MSDF_SCREEN_SIZE )
+    #ifdef MSDF_SCREEN_SIZE
+      uniform float msdfPixelScale;     // CSS pixels per layout unit
+      uniform float msdfViewportHeight; // CSS pixels
+    #endif
+
+    // View-space position of a glyph vertex given in layout space
+    vec4 msdfViewPosition(vec3 offset) {
+      vec4 anchor = modelViewMatrix * vec4(0.0, 0.0, 0.0, 1.0);
+
+      #ifdef MSDF_SCREEN_SIZE
+        // World units per pixel at the anchor's depth
+        float unitsPerPixel = 2.0 / (projectionMatrix[1][1] * msdfViewportHeight);
+        if (projectionMatrix[2][3] == -1.0) unitsPerPixel *= -anchor.z;
+        offset *= msdfPixelScale * unitsPerPixel;
+      #endif
+
+      #ifdef MSDF_BILLBOARD
+        vec3 modelScale = vec3(length(modelMatrix[0].xyz), length(modelMatrix[1].xyz), length(modelMatrix[2].xyz));
+        offset *= modelScale;
+      #endif
+
+      #if defined( MSDF_BILLBOARD_SPHERICAL )
+        // Spherical: offsets are taken in view space
+        return anchor + vec4(offset, 0.0);
+      #elif defined( MSDF_BILLBOARD_CYLINDRICAL )
+        // Cylindrical: turn around world Y towards the camera
+        vec3 origin = modelMatrix[3].xyz;
+        vec3 look = cameraPosition - origin;
+        look.y = 0.0;
+        if (dot(look, look) < 1e-8) look = vec3(0.0, 0.0, 1.0);
+        look = normalize(look);
+        vec3 right = vec3(look.z, 0.0, -look.x);
+        vec3 world = origin + right * offset.x + vec3(0.0, offset.y, 0.0) + look * offset.z;
+        return viewMatrix * vec4(world, 1.0);
+      #else
+        return anchor + modelViewMatrix * vec4(offset, 0.0);
+      #endif
+    }
+
+    // View-space normal of a billboarded glyph
+    vec3 msdfViewNormal(vec3 normal) {
+      #if defined( MSDF_BILLBOARD_SPHERICAL )
+        return vec3(0.0, 0.0, 1.0);
+      #elif defined( MSDF_BILLBOARD_CYLINDRICAL )
+        vec3 look = cameraPosition - modelMatrix[3].xyz;
+        look.y = 0.0;
+        if (dot(look, look) < 1e-8) look = vec3(0.0, 0.0, 1.0);
+        return normalize((viewMatrix * vec4(normalize(look), 0.0)).xyz);
+      #else
+        return normal;
+      #endif
+    }
+  #endif
+`;
+
+/**
+ * Drop shadow, vertex side. With MSDF_SHADOW defined the glyph quad grows by
+ * the shadow's reach so the shadow isn't cut off at the glyph cell; the
+ * offset and softness are in em, or CSS pixels with MSDF_SHADOW_PX.
+ * Include after msdfGlyphTransformChunk and msdfBillboardChunk.
+ */
+export const msdfShadowVertexChunk = `
+  #ifdef MSDF_SHADOW
+    attribute vec4 instanceShadowColor; // RGBA multipliers
+    attribute vec2 instanceShadow;      // [offset, softness] multipliers
+    uniform vec2 globalShadowOffset;
+    uniform float globalShadowSoftness;
+    #if defined( MSDF_SHADOW_PX ) && !defined( MSDF_SCREEN_SIZE )
+      uniform float msdfViewportHeight; // CSS pixels
+    #endif
+
+    varying vec2 vShadowQuadUv;  // 0-1 over the glyph cell, beyond it on the margin
+    varying vec4 vShadowCell;    // Glyph cell in the atlas (uvOffset)
+    varying vec2 vShadowSize;    // Glyph quad size in layout units
+    varying vec4 vShadowColor;
+    varying vec2 vShadowParams;
+
+    // Quad coordinates of a vertex of the grown quad (uv is 0-1 over the quad)
+    vec2 msdfShadowQuad(vec2 uv) {
+      vec2 size = vec2(length(instanceMatrix[0].xyz), length(instanceMatrix[1].xyz)) * instanceScale;
+      vShadowCell = uvOffset;
+      vShadowSize = size;
+      vShadowColor = instanceShadowColor;
+      vShadowParams = instanceShadow;
+      vShadowQuadUv = uv;
+      if (size.x * size.y == 0.0) return uv;
+
+      // Furthest the shadow reaches from the glyph, in em or pixels
+      float reach = length(globalShadowOffset) * instanceShadow.x + globalShadowSoftness * instanceShadow.y;
+      #ifdef MSDF_SHADOW_PX
+        // Layout units per pixel at the glyph centre
+        vec3 centre = instanceMatrix[3].xyz;
+        #if defined( MSDF_BILLBOARD ) || defined( MSDF_SCREEN_SIZE )
+          vec4 a = msdfViewPosition(centre);
+          vec4 b = msdfViewPosition(centre + msdfGlyphFrame()[1]);
+        #else
+          vec4 a = modelViewMatrix * vec4(centre, 1.0);
+          vec4 b = modelViewMatrix * vec4(centre + msdfGlyphFrame()[1], 1.0);
+        #endif
+        float viewPerPixel = 2.0 / (projectionMatrix[1][1] * msdfViewportHeight);
+        if (projectionMatrix[2][3] == -1.0) viewPerPixel *= -a.z;
+        reach *= viewPerPixel / max(distance(a.xyz, b.xyz), 1e-6);
+      #else
+        reach *= msdfEm;
+      #endif
+
+      vec2 margin = reach / size;
+      vShadowQuadUv = mix(-margin, 1.0 + margin, uv);
+      return vShadowQuadUv;
+    }
+  #else
+    vec2 msdfShadowQuad(vec2 uv) {
+      return uv;
+    }
+  #endif
+`;
+
+/**
+ * Drop shadow, fragment side: the distance field is sampled again at the
+ * shadow offset and composited under the glyph. Include after median().
+ */
+export const msdfShadowFragmentChunk = `
+  #ifdef MSDF_SHADOW
+    uniform vec3 globalShadowColor;
+    uniform float globalShadowOpacity;
+    uniform vec2 globalShadowOffset;  // em, or CSS pixels with MSDF_SHADOW_PX (y up)
+    uniform float globalShadowSoftness;
+    uniform float msdfEm;
+    #ifdef MSDF_SHADOW_PX
+      uniform float msdfPixelRatio;
+    #endif
+
+    varying vec2 vShadowQuadUv;
+    varying vec4 vShadowCell;
+    varying vec2 vShadowSize;
+    varying vec4 vShadowColor;
+    varying vec2 vShadowParams;
+
+    // Only the glyph's own cell is drawn; the margin around it is empty
+    vec3 msdfShadowMask(vec3 msd) {
+      bool inside = all(greaterThanEqual(vShadowQuadUv, vec2(0.0))) && all(lessThanEqual(vShadowQuadUv, vec2(1.0)));
+      return inside ? msd : vec3(0.0);
+    }
+
+    // Composite the shadow of a glyph whose outer edge is at distance edge
+    // under its colour; opacity fades the shadow with the glyph
+    void msdfApplyShadow(inout vec3 color, inout float alpha, float edge, float opacity) {
+      vec2 quadDx = dFdx(vShadowQuadUv);
+      vec2 quadDy = dFdy(vShadowQuadUv);
+      vec2 offset = globalShadowOffset * vShadowParams.x;
+      float softness = globalShadowSoftness * vShadowParams.y;
+
+      // Shift in quad coordinates, softness in pixels
+      #ifdef MSDF_SHADOW_PX
+        offset *= msdfPixelRatio;
+        softness *= msdfPixelRatio;
+        vec2 shift = quadDx * offset.x + quadDy * offset.y;
+      #else
+        vec2 shift = offset * msdfEm / vShadowSize;
+        float layoutPerPixel = 0.70710678 * length(vec2(length(quadDx * vShadowSize), length(quadDy * vShadowSize)));
+        softness *= msdfEm / max(layoutPerPixel, 1e-6);
+      #endif
+
+      // Sample inside the cell only, so neighbouring atlas glyphs never show
+      vec2 quadUv = vShadowQuadUv - shift;
+      vec3 msd = sampleMSDF(vShadowCell.xy + clamp(quadUv, 0.0, 1.0) * vShadowCell.zw);
+      bool inside = all(greaterThanEqual(quadUv, vec2(0.0))) && all(lessThanEqual(quadUv, vec2(1.0)));
+      float sd = inside ? median(msd.r, msd.g, msd.b) : 0.0;
+
+      vec2 Jdx = dFdx(msd.rg);
+      vec2 Jdy = dFdy(msd.rg);
+      float sdPerPixel = max(sqrt(dot(Jdx, Jdx) + dot(Jdy, Jdy)), 0.0001);
+      float spread = max(softness * sdPerPixel, 0.5 * sdPerPixel);
+      float coverage = smoothstep(-spread, spread, sd - edge);
+
+      float shadowAlpha = coverage * globalShadowOpacity * vShadowColor.a * opacity;
+      vec3 shadowColor = globalShadowColor * vShadowColor.rgb;
+      float outAlpha = alpha + shadowAlpha * (1.0 - alpha);
+      color = (color * alpha + shadowColor * shadowAlpha * (1.0 - alpha)) / max(outAlpha, 1e-5);
+      alpha = outAlpha;
+    }
+  #else
+    vec3 msdfShadowMask(vec3 msd) {
+      return msd;
+    }
+
+    void msdfApplyShadow(inout vec3 color, inout float alpha, float edge, float opacity) {}
+  #endif
+`;
+
+/**
+ * Stacked stroke layers, fragment side. MSDF_STROKE_LAYERS is the layer
+ * count, so the loop is compiled for the exact stack; layers are ordered
+ * inner to outer and each one starts where the previous one ends. Widths and
+ * softness are in distance field units, like the outline thickness.
+ */
+export const msdfStrokeChunk = `
+  #ifdef MSDF_STROKE_LAYERS
+    uniform vec4 msdfStrokeColors[MSDF_STROKE_LAYERS]; // RGB, opacity
+    uniform vec4 msdfStrokeParams[MSDF_STROKE_LAYERS]; // width, softness, glow (0/1)
+
+    // Outermost stroke edge (where the stack ends)
+    float msdfStrokeOuterEdge(float edge, float firstWidth) {
+      for (int i = 0; i < MSDF_STROKE_LAYERS; i++) {
+        edge -= msdfStrokeParams[i].x * (i == 0 ? firstWidth : 1.0);
+      }
+      return edge;
+    }
+
+    // Composite the stroke layers under a fill whose edge is at distance edge.
+    // The first layer takes the per-instance outline colour, width and glow
+    // multipliers.
+    void msdfApplyStrokes(inout vec3 color, inout float alpha, float sd, float edge, float w,
+                          vec4 firstColor, float firstWidth, float firstGlow) {
+      float inner = edge;
+      for (int i = 0; i < MSDF_STROKE_LAYERS; i++) {
+        vec4 layerColor = msdfStrokeColors[i];
+        vec4 params = msdfStrokeParams[i];
+        if (i == 0) {
+          layerColor *= firstColor;
+          params.x *= firstWidth;
+          params.z *= firstGlow;
+        }
+        float outer = inner - params.x;
+
+        float coverage;
+        if (params.z > 0.5) {
+          // Glow: fade out from the layer's inner edge to its outer edge
+          float fade = clamp((sd - outer + params.y) / max(params.x + params.y, 1e-4), 0.0, 1.0);
+          fade = smoothstep(0.0, 1.0, fade);
+          coverage = fade * fade;
+        } else {
+          float spread = 0.5 * w + params.y;
+          coverage = smoothstep(outer - spread, outer + spread, sd);
+        }
+
+        float layerAlpha = coverage * layerColor.a;
+        float outAlpha = alpha + layerAlpha * (1.0 - alpha);
+        color = (color * alpha + layerColor.rgb * layerAlpha * (1.0 - alpha)) / max(outAlpha, 1e-5);
+        alpha = outAlpha;
+        inner = outer;
+      }
+    }
+  #endif
+`;
+
+/**
+ * Overflow clipping, shared by the ShaderMaterial and the injected material.
+ * With MSDF_CLIP defined, fragments outside msdfClipRect (minX, minY, maxX,
+ * maxY in layout units) are discarded.
+ */
+export const msdfClipChunk = `
+  #ifdef MSDF_CLIP
+    uniform vec4 msdfClipRect;
+    varying vec2 vLayoutPosition;
+
+    void msdfClip() {
+      if (any(lessThan(vLayoutPosition, msdfClipRect.xy)) || any(greaterThan(vLayoutPosition, msdfClipRect.zw))) discard;
+    }
+  #else
+    void msdfClip() {}
+  #endif
+`;
+
 export const msdfVertexShader = `
   attribute vec4 uvOffset; // x, y = offset in atlas; z, w = width, height
   attribute vec4 instanceColor; // per-instance RGBA
   attribute vec4 instanceOutlineColor; // per-instance outline RGBA
   attribute vec2 instanceThickness; // [thickness, outlineThickness] multipliers
   attribute float instanceGlowMode; // 0.0 = hard outline, 1.0 = glow/shadow
+  attribute float instancePage; // atlas page (multi-page atlases only)
   
   varying vec2 vUv;
   varying vec4 vColor;
   varying vec4 vOutlineColor;
   varying vec2 vThickness;
   varying float vGlowMode;
+  #ifdef MSDF_PAGES
+    varying float vPage;
+  #endif
+  #ifdef MSDF_CLIP
+    varying vec2 vLayoutPosition;
+  #endif
+  ${msdfGlyphTransformChunk}
+  ${msdfAnimationChunk}
+  ${msdfBillboardChunk}
+  ${msdfShadowVertexChunk}
   
   void main() {
+    // Quad coordinates (grown past the glyph cell for a drop shadow)
+    vec2 quadUv = msdfShadowQuad(uv);
+
     // Calculate UV coordinates for this glyph
     vUv = vec2(
-      uvOffset.x + uv.x * uvOffset.z,
-      uvOffset.y + uv.y * uvOffset.w
+      uvOffset.x + quadUv.x * uvOffset.z,
+      uvOffset.y + quadUv.y * uvOffset.w
     );
     
+    MsdfAnimation anim = msdfAnimation();
+
     // Pass per-instance attributes to fragment shader
-    vColor = instanceColor;
-    vOutlineColor = instanceOutlineColor;
+    vColor = instanceColor * anim.color;
+    vOutlineColor = instanceOutlineColor * vec4(1.0, 1.0, 1.0, anim.color.a);
     vThickness = instanceThickness;
     vGlowMode = instanceGlowMode;
+    #ifdef MSDF_PAGES
+      vPage = instancePage;
+    #endif
+    // Glyph quad in layout space: per-glyph transform, then layout placement
+    vec3 layoutPosition = msdfGlyphPosition(vec3(quadUv - 0.5, position.z), anim.offset, anim.scale);
+    #ifdef MSDF_CLIP
+      vLayoutPosition = layoutPosition.xy;
+    #endif
     
-    // Standard Three.js transformation pipeline
-    gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+    #if defined( MSDF_BILLBOARD ) || defined( MSDF_SCREEN_SIZE )
+      gl_Position = projectionMatrix * msdfViewPosition(layoutPosition);
+    #else
+      // Standard Three.js transformation pipeline
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(layoutPosition, 1.0);
+    #endif
   }
 `;
 
 export const msdfFragmentShader = `
-  uniform sampler2D msdfTexture;
+  ${msdfSamplerChunk}
+  ${msdfClipChunk}
   uniform vec3 globalColor;            // Global color (multiplied with instance)
   uniform vec3 globalOutlineColor;     // Global outline color
   uniform float globalThickness;       // Global thickness
@@ -56,10 +496,14 @@ export const msdfFragmentShader = `
   float median(float r, float g, float b) {
     return max(min(r, g), min(max(r, g), b));
   }
+  ${msdfShadowFragmentChunk}
+  ${msdfStrokeChunk}
 
   void main() {
+    msdfClip();
+
     // Sample MSDF texture
-    vec3 msd = texture2D(msdfTexture, vUv).rgb;
+    vec3 msd = msdfShadowMask(sampleMSDF(vUv));
     float sd = median(msd.r, msd.g, msd.b);
     
     // Improved antialiasing using fractional derivatives from MSDF
@@ -71,7 +515,7 @@ export const msdfFragmentShader = `
     // Hybrid control: multiply global × instance
     float finalThickness = globalThickness * vThickness.x;
     float finalOutlineThickness = globalOutlineThickness * vThickness.y;
-    float finalGlowMode = 1.;// globalGlowMode * vGlowMode;
+    float finalGlowMode = globalGlowMode * vGlowMode;
     
     // Inner edge (fill boundary)
     float innerEdge = finalThickness;
@@ -92,6 +536,14 @@ export const msdfFragmentShader = `
     vec3 finalColor;
     float finalAlpha;
     
+    #ifdef MSDF_STROKE_LAYERS
+    // Stroke layers (see MSDFString.setStrokes) replace the single outline
+    finalColor = fillColor;
+    finalAlpha = innerAlpha;
+    msdfApplyStrokes(finalColor, finalAlpha, sd, innerEdge, w, vOutlineColor, vThickness.y, vGlowMode);
+    finalAlpha *= vColor.a;
+    outerEdge = msdfStrokeOuterEdge(innerEdge, vThickness.y);
+    #else
     // Choose between hard outline mode and glow mode
     if (finalGlowMode > 0.5) {
       // GLOW MODE: Soft fade with outline color
@@ -133,6 +585,10 @@ export const msdfFragmentShader = `
       // Hybrid alpha: multiply global opacity × instance alpha
       finalAlpha = outerAlpha * vColor.a;
     }
+    #endif
+
+    // Drop shadow under the glyph and its outline
+    msdfApplyShadow(finalColor, finalAlpha, outerEdge, vColor.a);
     
     if (finalAlpha < 0.01) discard;
     
@@ -0,0 +1,93 @@
+/**
+ * HarfBuzz shaper adapter for MSDFString
+ *
+ * Wraps harfbuzzjs (HarfBuzz compiled to WebAssembly) in the shaper
+ * interface MSDFString expects:
+ *
+ *   shaper.unitsPerEm
+ *   shaper.shape(text, { direction, script, language, features })
+ *     -> [{ glyphId, cluster, xAdvance, yAdvance, xOffset, yOffset }]
+ *
+ * Positions are in font units; `cluster` is the UTF-16 offset of the first
+ * character the glyph belongs to. Use it with an atlas generated with
+ * `glyphIndices` so shaped glyph ids can be found in the atlas.
+ *
+ * @module shapers/harfbuzz
+ */
+
+/**
+ * Parse a comma-separated feature list ('kern,liga,-calt') into hb Features
+ * @private
+ */
+function parseFeatures(hb, features) {
+  if (!features) return undefined;
+  return features.split(',')
+    .map((feature) => hb.Feature.fromString(feature.trim()))
+    .filter(Boolean);
+}
+
+/**
+ * Create a HarfBuzz shaper for one font file
+ * @param {Object} options
+ * @param {Object} options.hb - The harfbuzzjs module (`await import('harfbuzzjs')`)
+ * @param {ArrayBuffer|Uint8Array|string} options.font - Font file bytes or URL
+ * @param {number} [options.faceIndex=0] - Face index inside a collection
+ * @param {string} [options.features] - Default features, e.g. 'kern,liga,-calt'
+ * @returns {Promise<Object>} Shaper {unitsPerEm, shape(text, options)}
+ */
+export async function createHarfBuzzShaper(options) {
+  const { hb, faceIndex = 0, features: defaultFeatures } = options;
+  let { font } = options;
+
+  if (!hb || !hb.Face) {
+    throw new Error('createHarfBuzzShaper requires the harfbuzzjs module (hb)');
+  }
+
+  if (typeof font === 'string') {
+    const response = await fetch(font);
+    if (!response.ok) {
+      throw new Error(`Failed to load font '${font}': HTTP ${response.status}`);
+    }
+    font = await response.arrayBuffer();
+  }
+
+  // HarfBuzz objects free their WebAssembly memory when garbage collected
+  const face = new hb.Face(new hb.Blob(font), faceIndex);
+  const hbFont = new hb.Font(face);
+
+  return {
+    unitsPerEm: face.upem,
+
+    /**
+     * Shape a single-direction run of text
+     * @param {string} text - Run text
+     * @param {Object} [shapeOptions]
+     * @param {string} [shapeOptions.direction] - 'ltr' or 'rtl' (guessed if omitted)
+     * @param {string} [shapeOptions.script] - ISO 15924 tag, e.g. 'Arab' (guessed if omitted)
+     * @param {string} [shapeOptions.language] - BCP 47 tag, e.g. 'ar'
+     * @param {string} [shapeOptions.features] - Overrides the default features
+     * @returns {Array<Object>} Positioned glyphs in visual order
+     */
+    shape(text, shapeOptions = {}) {
+      const { direction, script, language, features = defaultFeatures } = shapeOptions;
+      const buffer = new hb.Buffer();
+
+      buffer.addText(text);
+      if (script) buffer.setScript(script);
+      if (language) buffer.setLanguage(language);
+      if (direction) buffer.setDirection(direction === 'rtl' ? hb.Direction.RTL : hb.Direction.LTR);
+      buffer.guessSegmentProperties();
+
+      hb.shape(hbFont, buffer, parseFeatures(hb, features));
+
+      return buffer.getGlyphInfosAndPositions().map((glyph) => ({
+        glyphId: glyph.codepoint,
+        cluster: glyph.cluster,
+        xAdvance: glyph.xAdvance,
+        yAdvance: glyph.yAdvance,
+        xOffset: glyph.xOffset,
+        yOffset: glyph.yOffset
+      }));
+    }
+  };
+}
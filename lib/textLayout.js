@@ -0,0 +1,863 @@
+/**
+ * Text layout helpers for MSDF Text Toolkit
+ *
+ * Font table lookups, Unicode segmentation, rich-text markup parsing and
+ * the paragraph layout shared by MSDFString, measureText and the effects.
+ * No Three.js or WebGL dependency, so layout can be tested in Node.
+ *
+ * @module textLayout
+ */
+
+import { resolveBidiLevels, reorderLine, getMirroredCodePoint } from './bidi.js';
+
+/**
+ * Build a glyph lookup keyed by Unicode code point
+ * @param {Object} fontData - Font atlas {texture, data}
+ * @returns {Map<number, Object>} code point -> BMFont char record
+ */
+export function buildGlyphMap(fontData) {
+  const glyphMap = new Map();
+  for (const charData of fontData.data.chars) {
+    glyphMap.set(charData.id, charData);
+  }
+  return glyphMap;
+}
+
+/**
+ * Build a glyph lookup keyed by glyph index in the source font
+ * (used to resolve glyph ids returned by a text shaper)
+ * @param {Object} fontData - Font atlas {texture, data}
+ * @returns {Map<number, Object>} glyph index -> BMFont char record
+ */
+export function buildGlyphIndexMap(fontData) {
+  const glyphIndexMap = new Map();
+  for (const charData of fontData.data.chars) {
+    if (charData.index !== undefined) glyphIndexMap.set(charData.index, charData);
+  }
+  return glyphIndexMap;
+}
+
+/**
+ * Pack a kerning pair of char ids into a single numeric Map key
+ * (0x110000 = number of Unicode code points, so every pair is unique)
+ * @param {number} first - Code point of the left glyph
+ * @param {number} second - Code point of the right glyph
+ * @returns {number}
+ */
+export function kerningKey(first, second) {
+  return first * 0x110000 + second;
+}
+
+/**
+ * Build a kerning pair lookup (amounts are in atlas pixels)
+ * @param {Object} fontData - Font atlas {texture, data}
+ * @returns {Map<number, number>} kerningKey(first, second) -> amount
+ */
+export function buildKerningMap(fontData) {
+  const kerningMap = new Map();
+  for (const kerning of fontData.data.kernings || []) {
+    if (kerning.amount !== 0) {
+      kerningMap.set(kerningKey(kerning.first, kerning.second), kerning.amount);
+    }
+  }
+  return kerningMap;
+}
+
+// Grapheme segmenter (null where Intl.Segmenter is unavailable)
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+// Fallback: a base code point followed by marks, variation selectors
+// and zero-width-joiner sequences
+const graphemeFallback = /\P{M}(?:\p{M}|\uFE0F|\u200D\P{M})*|\p{M}+/gsu;
+
+/**
+ * Split text into user-perceived characters (extended grapheme clusters)
+ * so that combining marks stay attached to their base character
+ * @param {string} text - Text to split
+ * @returns {string[]} Grapheme clusters in logical order
+ */
+export function splitGraphemes(text) {
+  if (graphemeSegmenter) {
+    return Array.from(graphemeSegmenter.segment(text), (s) => s.segment);
+  }
+  return text.match(graphemeFallback) || [];
+}
+
+// Markup tags understood by parseRichText
+const RICH_TEXT_TAGS = new Set(['color', 'outline', 'size', 'glow', 'b']);
+const richTextTag = /\\\[|\[(\/?)([a-z]+)(?:=([^\]]*))?\]/g;
+
+/**
+ * Parse lightweight rich-text markup into plain text plus styling spans.
+ *
+ *   [color=#f00]red[/color] [b]bold[/b] [size=1.5]big[/size]
+ *   [outline=#000]outlined[/outline] [outline=#000,2]wider outline[/outline]
+ *   [glow]glowing[/glow]
+ *
+ * Tags nest; a closing tag closes the most recent open tag of that name, and
+ * tags left open run to the end of the text. Unknown tags stay in the text
+ * as-is, and `\[` produces a literal '['.
+ * @param {string} markup - Marked-up text
+ * @returns {{text: string, spans: Array<{start: number, end: number, tag: string, value: string|null}>}}
+ *   Plain text and spans as UTF-16 offsets into it, in opening order
+ */
+export function parseRichText(markup) {
+  const spans = [];
+  const open = [];
+  let text = '';
+  let last = 0;
+
+  for (const match of markup.matchAll(richTextTag)) {
+    const [token, closing, tag, value] = match;
+    if (token !== '\\[' && !RICH_TEXT_TAGS.has(tag)) continue;
+
+    text += markup.slice(last, match.index);
+    last = match.index + token.length;
+
+    if (token === '\\[') {
+      text += '[';
+    } else if (closing) {
+      // Close the innermost open span of this tag
+      let k = open.length - 1;
+      while (k >= 0 && open[k].tag !== tag) k--;
+      if (k >= 0) open.splice(k, 1)[0].end = text.length;
+    } else {
+      const span = { start: text.length, end: -1, tag, value: value ?? null };
+      spans.push(span);
+      open.push(span);
+    }
+  }
+  text += markup.slice(last);
+
+  for (const span of open) span.end = text.length;
+  return { text, spans };
+}
+
+// Font lookup tables, built once per atlas
+const fontTables = new WeakMap();
+
+/**
+ * Get the glyph, glyph index and kerning lookups for a font (cached per atlas)
+ * @param {Object} font - Font atlas {texture, data}
+ * @returns {{glyphMap: Map, glyphIndexMap: Map, kerningMap: Map}}
+ */
+export function getFontTables(font) {
+  let tables = fontTables.get(font.data);
+  if (!tables) {
+    tables = {
+      glyphMap: buildGlyphMap(font),
+      glyphIndexMap: buildGlyphIndexMap(font),
+      kerningMap: buildKerningMap(font)
+    };
+    fontTables.set(font.data, tables);
+  }
+  return tables;
+}
+
+/**
+ * Whether a cluster is whitespace (a word separator and break opportunity)
+ * @private
+ */
+function isSpace(cluster) {
+  return /^\s+$/.test(cluster.text);
+}
+
+/**
+ * Extra space after a cluster from letterSpacing / wordSpacing (em units)
+ * @private
+ */
+function getSpacing(ctx, cluster) {
+  const { letterSpacing, wordSpacing, fontSize } = ctx;
+  const em = fontSize * cluster.size;
+  return letterSpacing * em + (wordSpacing && isSpace(cluster) ? wordSpacing * em : 0);
+}
+
+/**
+ * Pen advance for one cluster, including kerning against the previous one
+ * and letter / word spacing after it.
+ * Shaped clusters use the shaper's advances; clusters with no glyph at all
+ * advance like a space (nothing for invisible format characters).
+ * @private
+ */
+function getAdvance(ctx, prevCluster, cluster) {
+  const { scale, kerning } = ctx;
+  const clusterScale = scale * cluster.size * cluster.fontScale;
+  const spacing = getSpacing(ctx, cluster);
+  if (cluster.shaped) return cluster.advance * clusterScale + spacing;
+  const glyph = cluster.glyph;
+  if (!glyph) return getMissingAdvance(ctx, cluster) * clusterScale + spacing;
+  // Kerning pairs only exist within one font
+  const kern = kerning && prevCluster && prevCluster.glyph && prevCluster.font === cluster.font
+    ? getFontTables(cluster.font).kerningMap.get(kerningKey(prevCluster.glyph.id, glyph.id)) || 0
+    : 0;
+  return (kern + glyph.xadvance) * clusterScale + spacing;
+}
+
+/**
+ * Advance (atlas pixels) for a cluster no font has a glyph for: the width of
+ * the primary font's space, or a quarter em without one
+ * @private
+ */
+function getMissingAdvance(ctx, cluster) {
+  if (defaultIgnorable.test(cluster.text)) return 0;
+  const space = ctx.tables.glyphMap.get(0x20);
+  return space ? space.xadvance : ctx.font.data.info.size / 4;
+}
+
+/**
+ * Number of glyph instances a cluster occupies
+ * @private
+ */
+function getGlyphCount(cluster) {
+  if (cluster.shaped) return cluster.shaped.filter((shaped) => shaped.glyph).length;
+  return (cluster.glyph ? 1 : 0) + cluster.marks.length;
+}
+
+// Invisible format characters (ZWJ, bidi marks, variation selectors...)
+// are never drawn, reported or given an advance
+const defaultIgnorable = /^\p{Default_Ignorable_Code_Point}+$/u;
+
+/**
+ * Find the font that draws a code point under the missing-glyph policy.
+ * Code points missing from the primary font are recorded in ctx.missing.
+ * @private
+ * @returns {{glyph: Object, font: Object}|null}
+ */
+function findGlyph(ctx, codePoint, text) {
+  const { font, tables, fallbackFonts, missingGlyph } = ctx;
+  const glyph = tables.glyphMap.get(codePoint);
+  if (glyph) return { glyph, font };
+
+  // Whitespace and format characters without a glyph are simply gaps
+  if (/^\s+$/.test(text) || defaultIgnorable.test(text)) return null;
+  ctx.missing.add(codePoint);
+
+  if (missingGlyph === 'fallback') {
+    for (const fallback of fallbackFonts) {
+      const fallbackGlyph = getFontTables(fallback).glyphMap.get(codePoint);
+      if (fallbackGlyph) return { glyph: fallbackGlyph, font: fallback };
+    }
+  }
+
+  // Only 'replacement' draws a stand-in; otherwise the character is a gap
+  return missingGlyph === 'replacement' ? ctx.replacement : null;
+}
+
+/**
+ * Resolve the replacement glyph: replacementChar from the primary or a
+ * fallback font, else '?' from the primary font
+ * @private
+ */
+function findReplacement(ctx, replacementChar) {
+  const codePoint = replacementChar.codePointAt(0);
+  for (const font of [ctx.font, ...ctx.fallbackFonts]) {
+    const glyph = getFontTables(font).glyphMap.get(codePoint);
+    if (glyph) return { glyph, font };
+  }
+  const question = ctx.tables.glyphMap.get(0x3F);
+  return question ? { glyph: question, font: ctx.font } : null;
+}
+
+/**
+ * Split text into grapheme clusters and resolve their glyphs.
+ * The first code point of a cluster is its base glyph; any further
+ * code points found in the same font (combining marks) are drawn over it.
+ * @private
+ */
+function resolveClusters(ctx, text, offset) {
+  let index = offset;
+  return splitGraphemes(text).map((cluster) => {
+    const codePoints = Array.from(cluster, (c) => c.codePointAt(0));
+    const found = findGlyph(ctx, codePoints[0], cluster);
+    const font = found ? found.font : ctx.font;
+    const { glyphMap } = getFontTables(font);
+    const marks = [];
+    for (let i = 1; i < codePoints.length; i++) {
+      const mark = glyphMap.get(codePoints[i]);
+      if (mark) marks.push(mark);
+    }
+    const resolved = {
+      text: cluster,
+      index,
+      codePoint: codePoints[0],
+      glyph: found ? found.glyph : null,
+      font,
+      // Glyph pixels -> primary font pixels
+      fontScale: ctx.font.data.info.size / font.data.info.size,
+      marks,
+      size: 1
+    };
+    index += cluster.length;
+    return resolved;
+  });
+}
+
+/**
+ * Multiply cluster sizes by the [size] spans covering them (in place)
+ * @private
+ */
+function applySpanSizes(clusters, spans) {
+  for (const span of spans) {
+    if (span.tag !== 'size') continue;
+    const size = parseFloat(span.value);
+    if (!(size > 0)) continue;
+    for (const cluster of clusters) {
+      if (cluster.index >= span.start && cluster.index < span.end) cluster.size *= size;
+    }
+  }
+}
+
+/**
+ * Resolve bidi embedding levels for a paragraph's clusters (in place).
+ * Clusters at odd (RTL) levels switch to their mirrored glyph, e.g. '(' <-> ')'.
+ * @private
+ * @returns {number} Paragraph embedding level (0 = LTR, 1 = RTL)
+ */
+function resolveBidi(ctx, clusters) {
+  const { levels, paragraphLevel, types } = resolveBidiLevels(
+    clusters.map((cluster) => cluster.codePoint),
+    ctx.direction
+  );
+
+  clusters.forEach((cluster, i) => {
+    cluster.level = levels[i];
+    cluster.bidiClass = types[i];
+    if (levels[i] & 1) {
+      const mirrored = getMirroredCodePoint(cluster.codePoint);
+      const mirroredGlyph = mirrored !== null ? getFontTables(cluster.font).glyphMap.get(mirrored) : null;
+      if (mirroredGlyph) cluster.glyph = mirroredGlyph;
+    }
+  });
+
+  return paragraphLevel;
+}
+
+/**
+ * Shape a paragraph's clusters with a text shaper (in place).
+ * Each run of equal bidi level is shaped on its own; the positioned glyphs
+ * are attached to the cluster containing their source text, so ligatures
+ * belong to their first cluster and the following ones have no glyphs.
+ * @private
+ */
+function shapeClusters(ctx, clusters) {
+  const { shaper, font, tables } = ctx;
+  const pxPerUnit = font.data.info.size / shaper.unitsPerEm;
+
+  let runStart = 0;
+  while (runStart < clusters.length) {
+    const level = clusters[runStart].level;
+    let runEnd = runStart + 1;
+    while (runEnd < clusters.length && clusters[runEnd].level === level) runEnd++;
+
+    // UTF-16 offset of each cluster within the run text
+    const run = clusters.slice(runStart, runEnd);
+    const offsets = [];
+    let runText = '';
+    for (const cluster of run) {
+      offsets.push(runText.length);
+      runText += cluster.text;
+      cluster.shaped = [];
+      cluster.advance = 0;
+      // Shaped glyphs always come from the primary font
+      cluster.font = font;
+      cluster.fontScale = 1;
+    }
+
+    // Glyphs come back in visual order, so each cluster's list is visual too
+    const glyphs = shaper.shape(runText, { direction: level & 1 ? 'rtl' : 'ltr' });
+    for (const shaped of glyphs) {
+      let k = run.length - 1;
+      while (k > 0 && offsets[k] > shaped.cluster) k--;
+      run[k].shaped.push({
+        glyph: tables.glyphIndexMap.get(shaped.glyphId) || null,
+        xAdvance: shaped.xAdvance * pxPerUnit,
+        xOffset: shaped.xOffset * pxPerUnit,
+        yOffset: shaped.yOffset * pxPerUnit
+      });
+      run[k].advance += shaped.xAdvance * pxPerUnit;
+    }
+
+    runStart = runEnd;
+  }
+}
+
+/**
+ * Measure the advance width of a run of clusters
+ * @private
+ */
+function measureLine(ctx, clusters) {
+  let width = 0;
+  let prevCluster = null;
+  for (const cluster of clusters) {
+    width += getAdvance(ctx, prevCluster, cluster);
+    prevCluster = cluster;
+  }
+  return width;
+}
+
+/**
+ * Break a paragraph (text without '\n') into lines no wider than maxWidth
+ * @private
+ * @returns {Array<Array<Object>>} Wrapped lines of clusters
+ */
+function wrapParagraph(ctx, clusters) {
+  const { maxWidth, wordWrap } = ctx;
+  if (maxWidth == null || wordWrap === 'none') return [clusters];
+
+  const lines = [];
+  let lineStart = 0;
+  let breakAt = -1;   // First cluster after the most recent whitespace run
+  let width = 0;
+  let prevCluster = null;
+
+  for (let i = 0; i < clusters.length; i++) {
+    const cluster = clusters[i];
+    let advance = getAdvance(ctx, prevCluster, cluster);
+
+    // Whitespace never causes a break; it hangs past the edge instead
+    if (!isSpace(cluster) && i > lineStart && width + advance > maxWidth) {
+      // Break at the last word boundary, or mid-word if there is none
+      const end = (wordWrap === 'word' && breakAt > lineStart) ? breakAt : i;
+      let lineEnd = end;
+      while (lineEnd > lineStart && isSpace(clusters[lineEnd - 1])) lineEnd--;
+      lines.push(clusters.slice(lineStart, lineEnd));
+
+      lineStart = end;
+      breakAt = -1;
+      width = measureLine(ctx, clusters.slice(lineStart, i));
+      prevCluster = lineStart < i ? clusters[i - 1] : null;
+      advance = getAdvance(ctx, prevCluster, cluster);
+    }
+
+    width += advance;
+    prevCluster = cluster;
+
+    if (isSpace(cluster)) breakAt = i + 1;
+  }
+
+  lines.push(clusters.slice(lineStart));
+  return lines;
+}
+
+/**
+ * Clusters drawn in place of cut-off text: '…' when the font has it, else '...'
+ * @private
+ */
+function resolveEllipsis(ctx, index, size) {
+  const text = ctx.tables.glyphMap.has(0x2026) ? '\u2026' : '...';
+  return resolveClusters(ctx, text, index).map((cluster) => {
+    cluster.size = size;
+    return cluster;
+  });
+}
+
+/**
+ * Cut a line's clusters so they fit maxWidth together with an ellipsis, and
+ * end the line with it (in place). Trailing whitespace before the cut goes
+ * too; the cut clusters are kept in `line.cut`.
+ * @private
+ */
+function ellipsizeLine(ctx, line, paragraphLevel) {
+  const { clusters } = line;
+  const size = clusters.length ? clusters[clusters.length - 1].size : 1;
+  const ellipsis = resolveEllipsis(ctx, line.end, size);
+  const limit = ctx.maxWidth == null ? Infinity : ctx.maxWidth - measureLine(ctx, ellipsis);
+
+  // Longest prefix that fits next to the ellipsis
+  let end = 0;
+  let width = 0;
+  let prevCluster = null;
+  while (end < clusters.length) {
+    width += getAdvance(ctx, prevCluster, clusters[end]);
+    if (width > limit) break;
+    prevCluster = clusters[end++];
+  }
+  while (end > 0 && isSpace(clusters[end - 1])) end--;
+
+  const cut = clusters.slice(end);
+  line.cut = cut;
+  line.clusters = clusters.slice(0, end);
+  line.end = cut.length ? cut[0].index : line.end;
+  for (const cluster of ellipsis) {
+    cluster.index = line.end;
+    cluster.level = paragraphLevel;
+    cluster.bidiClass = 'ON';
+  }
+  line.ellipsis = ellipsis;
+}
+
+/**
+ * Record a glyph quad in the layout
+ * @private
+ */
+function placeGlyph(layout, instance, glyph, centerX, top, glyphScale, cluster, line) {
+  const width = glyph.width * glyphScale;
+  const height = glyph.height * glyphScale;
+  layout.glyphs[instance] = {
+    glyph,
+    font: cluster.font,
+    x: centerX,
+    y: top - glyph.yoffset * glyphScale - height / 2,
+    width,
+    height,
+    stringIndex: cluster.index,
+    line
+  };
+}
+
+/**
+ * Default layout options for layoutText, measureText and MSDFString
+ * (see MSDFString.setText for what each one does)
+ */
+export const layoutDefaults = Object.freeze({
+  fontSize: 1.0,
+  align: 'start',     // 'start', 'end', 'left', 'center', 'right', 'justify'
+  direction: 'auto',  // 'ltr', 'rtl', 'auto'
+  lineHeight: 1.2,
+  kerning: true,      // Apply the atlas kerning table
+  maxWidth: null,     // Wrap width in world units (null = no wrapping)
+  wordWrap: 'word',   // 'word', 'char', 'none'
+  maxLines: null,     // Lines kept; the rest are dropped (null = all)
+  overflow: 'visible', // 'visible', 'clip', 'ellipsis' (text past maxWidth / maxLines)
+  shaper: null,
+  anchorX: null,      // 'left', 'center', 'right' (null = x = 0 at the align edge)
+  anchorY: null,      // 'top', 'middle', 'baseline', 'bottom' (null = legacy centring)
+  fontMetrics: false, // Use the atlas common.lineHeight instead of lineHeight
+  letterSpacing: 0,   // Extra space after every character (em)
+  wordSpacing: 0,     // Extra space after whitespace (em)
+  fallbackFonts: [],  // Fonts searched, in order, for glyphs the primary font lacks
+  missingGlyph: 'fallback', // 'fallback', 'replacement', 'report'
+  replacementChar: '\uFFFD',
+  onMissingGlyph: null // (codePoints, text) => void
+});
+
+/**
+ * Fill in layoutDefaults for options that are missing or undefined
+ * @private
+ */
+function withLayoutDefaults(options) {
+  const resolved = { ...layoutDefaults };
+  for (const [name, value] of Object.entries(options)) {
+    if (value !== undefined) resolved[name] = value;
+  }
+  return resolved;
+}
+
+/**
+ * Lay out text: grapheme clusters, bidi, shaping, wrapping, alignment and
+ * inline sizes. This is the single layout used by MSDFString and measureText.
+ *
+ * Glyph instances are numbered in logical order, so instance indices follow
+ * the string even on right-to-left lines. Positions are in world units,
+ * relative to the anchorX / anchorY point of the block (by default x = 0 at
+ * the alignment edge and the block roughly centred on y = 0).
+ *
+ * @param {Object} font - Font atlas {data} (the texture is not used)
+ * @param {string} text - Plain text ('\n' forces a line break)
+ * @param {Object} [options] - Layout options, see MSDFString.setText
+ * @param {Array<Object>} [spans] - Rich text spans from parseRichText
+ * @returns {{clusters: Array<Object>, lines: Array<Object>, glyphs: Array<Object>, missing: number[],
+ *   truncated: boolean, clipRect: Object|null}}
+ *   clusters in logical order (with `instance`, `glyphCount` and `line`; cut-off
+ *   clusters are `hidden` and have no glyphs),
+ *   lines {x, width, top, height, baseline, start, end, paragraphLevel},
+ *   glyph quads indexed by instance {glyph, font, x, y, width, height, stringIndex, line}
+ *   (x, y = quad centre), the code points missing from the primary font,
+ *   whether any text was cut off by maxLines / overflow, and the box
+ *   {minX, minY, maxX, maxY} glyphs are clipped to (overflow 'clip' only)
+ */
+export function layoutText(font, text, options = {}, spans = []) {
+  const {
+    fontSize, align, direction, lineHeight, kerning, maxWidth, wordWrap, maxLines, overflow, shaper,
+    anchorX, anchorY, fontMetrics, letterSpacing, wordSpacing,
+    fallbackFonts, missingGlyph, replacementChar, onMissingGlyph
+  } = withLayoutDefaults(options);
+
+  const ctx = {
+    font,
+    tables: getFontTables(font),
+    scale: fontSize / font.data.info.size,
+    fontSize, direction, kerning, maxWidth, wordWrap, shaper, letterSpacing, wordSpacing,
+    fallbackFonts, missingGlyph,
+    missing: new Set()
+  };
+  ctx.replacement = missingGlyph === 'replacement' ? findReplacement(ctx, replacementChar) : null;
+  const { scale } = ctx;
+  const base = font.data.common.base;
+
+  // Explicit line breaks first, then bidi levels and wrapping per paragraph
+  const layout = { clusters: [], lines: [], glyphs: [], missing: [], truncated: false, clipRect: null };
+  let paragraphStart = 0;
+  for (const paragraph of text.split('\n')) {
+    const clusters = resolveClusters(ctx, paragraph, paragraphStart);
+    applySpanSizes(clusters, spans);
+    layout.clusters.push(...clusters);
+
+    const paragraphLevel = resolveBidi(ctx, clusters);
+    if (shaper) shapeClusters(ctx, clusters);
+    const wrapped = wrapParagraph(ctx, clusters);
+    wrapped.forEach((line, i) => {
+      const start = line.length ? line[0].index : paragraphStart;
+      const last = line[line.length - 1];
+      const end = last ? last.index + last.text.length : paragraphStart;
+      const paragraphEnd = i === wrapped.length - 1;
+      layout.lines.push({ clusters: line, paragraphLevel, start, end, paragraphEnd });
+    });
+    paragraphStart += paragraph.length + 1;
+  }
+
+  // Overflow: lines past maxLines are dropped; with 'ellipsis' the last kept
+  // line and any line wider than maxWidth end in an ellipsis instead
+  let dropped = [];
+  if (maxLines != null && layout.lines.length > Math.max(maxLines, 1)) {
+    dropped = layout.lines.splice(Math.max(maxLines, 1)).flatMap((line) => line.clusters);
+    layout.truncated = true;
+    const last = layout.lines[layout.lines.length - 1];
+    if (overflow === 'ellipsis') ellipsizeLine(ctx, last, last.paragraphLevel);
+  }
+  if (overflow !== 'visible' && maxWidth != null) {
+    for (const line of layout.lines) {
+      if (line.ellipsis || measureLine(ctx, line.clusters) <= maxWidth) continue;
+      layout.truncated = true;
+      if (overflow === 'ellipsis') ellipsizeLine(ctx, line, line.paragraphLevel);
+    }
+  }
+
+  // Line boxes grow with the largest inline size on the line. The baseline
+  // sits common.base below the top of the line box.
+  const emLineHeight = fontMetrics ? font.data.common.lineHeight * scale : lineHeight * fontSize;
+  for (const line of layout.lines) {
+    line.size = line.clusters.reduce((max, cluster) => Math.max(max, cluster.size), 1);
+    line.height = line.size * emLineHeight;
+  }
+
+  // Vertical anchor: where y = 0 falls on the block
+  const blockHeight = layout.lines.reduce((sum, line) => sum + line.height, 0);
+  const firstLine = layout.lines[0];
+  let lineTop;
+  switch (anchorY) {
+    case 'top': lineTop = 0; break;
+    case 'middle': lineTop = blockHeight / 2; break;
+    case 'bottom': lineTop = blockHeight; break;
+    case 'baseline': lineTop = base * scale * firstLine.size; break;
+    // Legacy: the block sits half its first line below centre
+    default: lineTop = (blockHeight - firstLine.height) / 2;
+  }
+
+  let instance = 0;
+  layout.lines.forEach((line, lineIdx) => {
+    const { clusters, paragraphLevel } = line;
+
+    // Instances stay in logical order so per-character indices follow the
+    // string; an ellipsis comes after the clusters it ends
+    const ellipsis = line.ellipsis || [];
+    for (const cluster of [...clusters, ...ellipsis]) {
+      cluster.instance = instance;
+      cluster.glyphCount = getGlyphCount(cluster);
+      cluster.line = lineIdx;
+      instance += cluster.glyphCount;
+    }
+
+    // Visual (left-to-right) order of this line; the ellipsis sits at the
+    // paragraph's end side
+    const { order } = reorderLine(
+      clusters.map((cluster) => cluster.level),
+      clusters.map((cluster) => cluster.bidiClass),
+      paragraphLevel, 0, clusters.length
+    );
+    line.visual = order.map((i) => clusters[i]);
+    if (paragraphLevel & 1) line.visual.unshift(...ellipsis);
+    else line.visual.push(...ellipsis);
+
+    // Calculate line width for alignment
+    line.width = measureLine(ctx, line.visual);
+
+    const rtl = (paragraphLevel & 1) === 1;
+    line.align = align;
+    if (align === 'start' || align === 'justify') line.align = rtl ? 'right' : 'left';
+    else if (align === 'end') line.align = rtl ? 'left' : 'right';
+  });
+
+  // Justify: stretch every line but the last of each paragraph to the wrap
+  // width (or the widest line), widening word gaps, or letter gaps when the
+  // line has no spaces
+  if (align === 'justify') {
+    const target = maxWidth ?? Math.max(...layout.lines.map((line) => line.width));
+    for (const line of layout.lines) {
+      const extra = target - line.width;
+      if (line.paragraphEnd || extra <= 0 || line.visual.length < 2) continue;
+      const gaps = line.visual.slice(0, -1);
+      const wordGaps = gaps.filter(isSpace);
+      const stretched = wordGaps.length ? wordGaps : gaps;
+      line.justify = { clusters: new Set(stretched), gap: extra / stretched.length };
+      line.width = target;
+    }
+  }
+
+  // Clipped lines are aligned as if they were maxWidth wide, with the
+  // overflow past their end edge (like CSS text-overflow)
+  const clip = overflow === 'clip' && maxWidth != null;
+  for (const line of layout.lines) {
+    line.boxWidth = clip ? Math.min(line.width, maxWidth) : line.width;
+  }
+
+  // Horizontal anchor: lines are aligned inside the widest line's box, and
+  // the box is placed with its left / centre / right edge on x = 0
+  const blockWidth = Math.max(...layout.lines.map((line) => line.boxWidth));
+  const anchorShift = { left: 0, center: blockWidth / 2, right: blockWidth }[anchorX];
+  const alignFactor = { left: 0, center: 0.5, right: 1 };
+
+  layout.lines.forEach((line, lineIdx) => {
+    const { visual, width: lineWidth, boxWidth } = line;
+    const factor = alignFactor[line.align] ?? 0;
+
+    const boxX = anchorShift === undefined
+      ? -boxWidth * factor
+      : (blockWidth - boxWidth) * factor - anchorShift;
+    let xOffset = line.paragraphLevel & 1 ? boxX + boxWidth - lineWidth : boxX;
+
+    if (clip) {
+      layout.clipRect = layout.clipRect || { minX: Infinity, minY: lineTop - blockHeight, maxX: -Infinity, maxY: lineTop };
+      layout.clipRect.minX = Math.min(layout.clipRect.minX, boxX);
+      layout.clipRect.maxX = Math.max(layout.clipRect.maxX, boxX + boxWidth);
+    }
+
+    // Every glyph on the line shares its baseline
+    line.x = xOffset;
+    line.top = lineTop;
+    line.baseline = lineTop - base * scale * line.size;
+    lineTop -= line.height;
+
+    // Layout clusters: base glyph advances, combining marks sit over it
+    let prevCluster = null;
+    for (const cluster of visual) {
+      const { glyph, marks } = cluster;
+      // Kerning moves the glyph; spacing and justification come after it
+      const glyphAdvance = getAdvance(ctx, prevCluster, cluster) - getSpacing(ctx, cluster);
+      let advance = getAdvance(ctx, prevCluster, cluster);
+      if (line.justify && line.justify.clusters.has(cluster)) advance += line.justify.gap;
+      const glyphScale = scale * cluster.size * cluster.fontScale;
+      const glyphTop = line.baseline + cluster.font.data.common.base * glyphScale;
+      let index = cluster.instance;
+      cluster.x = xOffset;
+      cluster.advanceWidth = advance;
+      prevCluster = cluster;
+
+      if (cluster.shaped) {
+        // Shaped glyphs carry their own advances and offsets
+        let penX = xOffset;
+        for (const { glyph: shapedGlyph, xAdvance, xOffset: dx, yOffset: dy } of cluster.shaped) {
+          if (shapedGlyph) {
+            const xPos = penX + (dx + shapedGlyph.xoffset + shapedGlyph.width / 2) * glyphScale;
+            placeGlyph(layout, index++, shapedGlyph, xPos, glyphTop + dy * glyphScale, glyphScale, cluster, lineIdx);
+          }
+          penX += xAdvance * glyphScale;
+        }
+        xOffset += advance;
+        continue;
+      }
+
+      const penX = xOffset + (glyph ? glyphAdvance - glyph.xadvance * glyphScale : 0);
+
+      if (glyph) {
+        const xPos = penX + glyph.xoffset * glyphScale + glyph.width * glyphScale / 2;
+        placeGlyph(layout, index++, glyph, xPos, glyphTop, glyphScale, cluster, lineIdx);
+      }
+
+      const baseCenter = penX + (glyph ? glyph.xadvance * glyphScale : glyphAdvance) / 2;
+      for (const mark of marks) {
+        placeGlyph(layout, index++, mark, baseCenter, glyphTop, glyphScale, cluster, lineIdx);
+      }
+
+      xOffset += advance;
+    }
+  });
+
+  // Cut-off clusters have no glyphs and sit at the end of the line they were
+  // cut from (dropped lines: the last line)
+  const lastLine = layout.lines.length - 1;
+  const hidden = [
+    ...layout.lines.map((line, lineIdx) => (line.cut || []).map((cluster) => [cluster, lineIdx])),
+    dropped.map((cluster) => [cluster, lastLine])
+  ].flat();
+  for (const [cluster, lineIdx] of hidden) {
+    const line = layout.lines[lineIdx];
+    Object.assign(cluster, {
+      hidden: true,
+      instance,
+      glyphCount: 0,
+      line: lineIdx,
+      x: line.paragraphLevel & 1 ? line.x : line.x + line.width,
+      advanceWidth: 0
+    });
+  }
+
+  layout.missing = [...ctx.missing];
+  if (onMissingGlyph && layout.missing.length) onMissingGlyph(layout.missing, text);
+
+  return layout;
+}
+
+/**
+ * Measure text without creating a mesh (runs in Node; no WebGL needed).
+ * Uses the same layout as MSDFString.setText, so the numbers match what
+ * a mesh with the same text and options would display.
+ *
+ * @param {Object} font - Font atlas {data} (or {texture, data} from MSDFString.loadFont)
+ * @param {string} text - Text to measure ('\n' forces a line break)
+ * @param {Object} [options] - Layout options, as for MSDFString.setText
+ *   (fontSize, align, direction, lineHeight, kerning, maxWidth, wordWrap, maxLines,
+ *   overflow, shaper, anchorX, anchorY, fontMetrics, letterSpacing, wordSpacing,
+ *   fallbackFonts, missingGlyph, replacementChar, onMissingGlyph)
+ * @returns {{width: number, height: number, bounds: Object, lines: Array<Object>, glyphs: Array<Object>,
+ *   missing: number[], truncated: boolean}}
+ *   `bounds` {minX, minY, maxX, maxY} is the box around all line boxes;
+ *   `lines` {x, width, top, height, baseline, start, end} use string offsets
+ *   [start, end); `glyphs` {index, line, x, y, width, height} are quad
+ *   rectangles (x, y = bottom-left corner) in instance order, where
+ *   `index` is the string offset of the character the glyph belongs to;
+ *   `missing` lists the code points the primary font has no glyph for;
+ *   `truncated` is true when maxLines / overflow cut text off
+ */
+export function measureText(font, text, options = {}) {
+  const layout = layoutText(font, text, options);
+  return toMeasurement(layout);
+}
+
+/**
+ * Convert a layout into the public measurement shape
+ * @private
+ */
+function toMeasurement(layout) {
+  const lines = layout.lines.map(({ x, width, top, height, baseline, start, end }) => (
+    { x, width, top, height, baseline, start, end }
+  ));
+
+  const bounds = {
+    minX: Math.min(...lines.map((line) => line.x)),
+    minY: Math.min(...lines.map((line) => line.top - line.height)),
+    maxX: Math.max(...lines.map((line) => line.x + line.width)),
+    maxY: Math.max(...lines.map((line) => line.top))
+  };
+
+  const glyphs = layout.glyphs.map((quad) => ({
+    index: quad.stringIndex,
+    line: quad.line,
+    x: quad.x - quad.width / 2,
+    y: quad.y - quad.height / 2,
+    width: quad.width,
+    height: quad.height
+  }));
+
+  return {
+    width: bounds.maxX - bounds.minX,
+    height: bounds.maxY - bounds.minY,
+    bounds,
+    lines,
+    glyphs,
+    missing: layout.missing,
+    truncated: layout.truncated
+  };
+}
@@ -110,9 +110,14 @@ export function createPulseAnimation(textMesh, options = {}) {
 }
 
 /**
- * Create wave animation on text
+ * Create wave animation on text: glyphs bob up and down in a travelling wave.
+ * Offsets are per-glyph transforms, so they sit on top of the layout and
+ * survive setText.
  * @param {MSDFString} textMesh - The text mesh to animate
  * @param {Object} options - Animation options
+ * @param {number} [options.speed=2.0] - Wave speed (radians per second)
+ * @param {number} [options.amplitude=0.2] - Height of the wave (em)
+ * @param {number} [options.frequency=0.5] - Phase step between glyphs (radians)
  * @returns {Function} - Animation update function
  */
 export function createWaveAnimation(textMesh, options = {}) {
@@ -126,24 +131,150 @@ export function createWaveAnimation(textMesh, options = {}) {
 
   return (delta) => {
     time += delta * speed;
-    const length = textMesh.getLength();
-    
-    for (let i = 0; i < length; i++) {
-      const offset = Math.sin(time + i * frequency) * amplitude;
-      const pos = new THREE.Vector3(0, offset, 0);
-      
-      const matrix = new THREE.Matrix4();
-      matrix.makeTranslation(pos.x, pos.y, pos.z);
-      
-      // This would need to be combined with existing transform
-      // For now, just update y position in a simple way
-      const brightness = 0.5 + Math.sin(time + i * frequency) * 0.5;
-      const color = new THREE.Color().setHSL(brightness, 0.8, 0.6);
-      textMesh.setCharacterColor(i, color, 1.0);
+    const height = amplitude * textMesh.fontSize;
+
+    for (let i = 0; i < textMesh.count; i++) {
+      textMesh.setCharacterOffset(i, 0, Math.sin(time + i * frequency) * height, 0);
+    }
+  };
+}
+
+/**
+ * Create jitter animation on text: glyphs shake at random, a few times per second
+ * @param {MSDFString} textMesh - The text mesh to animate
+ * @param {Object} options - Animation options
+ * @param {number} [options.amplitude=0.03] - Maximum offset (em)
+ * @param {number} [options.rotation=0.08] - Maximum rotation (radians)
+ * @param {number} [options.rate=20] - New positions per second
+ * @returns {Function} - Animation update function
+ */
+export function createJitterAnimation(textMesh, options = {}) {
+  const {
+    amplitude = 0.03,
+    rotation = 0.08,
+    rate = 20
+  } = options;
+
+  let time = 1;
+  const random = (range) => (Math.random() * 2 - 1) * range;
+
+  return (delta) => {
+    time += delta * rate;
+    if (time < 1) return;
+    time %= 1;
+
+    const offset = amplitude * textMesh.fontSize;
+    for (let i = 0; i < textMesh.count; i++) {
+      textMesh.setCharacterOffset(i, random(offset), random(offset), 0);
+      textMesh.setCharacterRotation(i, 0, 0, random(rotation));
+    }
+  };
+}
+
+/**
+ * Create bounce animation on text: glyphs hop one after another and squash
+ * when they land
+ * @param {MSDFString} textMesh - The text mesh to animate
+ * @param {Object} options - Animation options
+ * @param {number} [options.speed=1.5] - Hops per second
+ * @param {number} [options.height=0.4] - Hop height (em)
+ * @param {number} [options.stagger=0.08] - Delay between neighbouring glyphs (s)
+ * @param {number} [options.squash=0.2] - How much glyphs flatten on landing (0-1)
+ * @returns {Function} - Animation update function
+ */
+export function createBounceAnimation(textMesh, options = {}) {
+  const {
+    speed = 1.5,
+    height = 0.4,
+    stagger = 0.08,
+    squash = 0.2
+  } = options;
+
+  let time = 0;
+
+  return (delta) => {
+    time += delta;
+    const hopHeight = height * textMesh.fontSize;
+
+    for (let i = 0; i < textMesh.count; i++) {
+      // Phase within the current hop: 0 = take off, 1 = landing
+      const phase = ((time - i * stagger) * speed % 1 + 1) % 1;
+      const lift = Math.sin(phase * Math.PI);
+      // Squash for the first and last tenth of the hop
+      const impact = Math.max(0, 1 - Math.min(phase, 1 - phase) * 10) * squash;
+      textMesh.setCharacterOffset(i, 0, lift * hopHeight, 0);
+      textMesh.setCharacterScale(i, 1 + impact, 1 - impact);
     }
   };
 }
 
+/**
+ * Create a scatter effect: glyphs fly in from random directions and spin into
+ * place ('in'), or fly apart ('out')
+ * @param {MSDFString} textMesh - The text mesh
+ * @param {Object} options - Animation options
+ * @param {number} [options.duration=1.0] - Seconds until every glyph has arrived
+ * @param {number} [options.distance=3] - How far glyphs start from home (em)
+ * @param {number} [options.rotation=Math.PI] - Maximum spin (radians)
+ * @param {string} [options.direction='in'] - 'in' (assemble) or 'out' (disperse)
+ * @returns {Object} - {update, reset, isComplete}
+ */
+export function createScatterEffect(textMesh, options = {}) {
+  const {
+    duration = 1.0,
+    distance = 3,
+    rotation = Math.PI,
+    direction = 'in'
+  } = options;
+
+  let time = 0;
+  let complete = false;
+  const targets = [];
+
+  // Random start offsets, created as glyphs appear
+  const getTarget = (i) => {
+    if (!targets[i]) {
+      const angle = Math.random() * Math.PI * 2;
+      const radius = 0.5 + Math.random() * 0.5;
+      targets[i] = {
+        x: Math.cos(angle) * radius,
+        y: Math.sin(angle) * radius,
+        z: (Math.random() * 2 - 1) * 0.5,
+        spin: (Math.random() * 2 - 1) * rotation
+      };
+    }
+    return targets[i];
+  };
+
+  const update = (delta) => {
+    if (complete) return;
+
+    time += delta;
+    const progress = Math.min(time / duration, 1);
+    // Ease out when assembling, ease in when dispersing
+    const away = direction === 'in' ? Math.pow(1 - progress, 3) : Math.pow(progress, 3);
+    const reach = distance * textMesh.fontSize * away;
+
+    for (let i = 0; i < textMesh.count; i++) {
+      const target = getTarget(i);
+      textMesh.setCharacterOffset(i, target.x * reach, target.y * reach, target.z * reach);
+      textMesh.setCharacterRotation(i, 0, 0, target.spin * away);
+    }
+
+    if (progress >= 1) complete = true;
+  };
+
+  const reset = () => {
+    time = 0;
+    complete = false;
+    targets.length = 0;
+  };
+
+  const isComplete = () => complete;
+
+  return { update, reset, isComplete };
+}
+
 /**
  * Create a typewriter effect
  * @param {MSDFString} textMesh - The text mesh
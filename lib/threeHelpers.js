@@ -93,7 +93,8 @@ export function initThreeScene(container, options = {}) {
 /**
  * Create a standard animation loop
  * @param {Function} callback - Function to call each frame (receives {scene, camera, renderer, controls})
- * @param {Object} context - Context object with scene, camera, renderer, controls
+ * @param {Object} context - Context object with scene, camera, renderer, controls,
+ *   and optionally `hud` (from createHudLayer), rendered on top of the scene
  * @returns {Function} - Stop function to halt the animation loop
  */
 export function createAnimationLoop(callback, context) {
@@ -111,6 +112,10 @@ export function createAnimationLoop(callback, context) {
     callback(context);
     
     context.renderer.render(context.scene, context.camera);
+
+    if (context.hud) {
+      context.hud.render();
+    }
   }
 
   animate();
@@ -123,11 +128,148 @@ export function createAnimationLoop(callback, context) {
   };
 }
 
+/**
+ * Create a 2D overlay layer measured in CSS pixels, for HUD text at exact sizes
+ *
+ * One unit is one CSS pixel (an MSDFString with fontSize 16 is 16px tall) and
+ * the origin is the canvas' top-left corner. The orthographic camera follows
+ * the canvas size and the renderer's pixel ratio, and objects placed with
+ * `place()` are snapped to whole device pixels and stay attached to their
+ * edges on resize.
+ *
+ * @param {THREE.WebGLRenderer} renderer - Renderer of the main scene
+ * @param {Object} options - Configuration options
+ * @param {boolean} [options.snap=true] - Round positions to whole device pixels
+ * @param {boolean} [options.trackPixelRatio=false] - Keep the renderer's pixel
+ *   ratio equal to window.devicePixelRatio (e.g. when moved between screens).
+ *   The ratio is set when it changes, before the next frame is rendered;
+ *   leave this off if the app manages the pixel ratio itself.
+ * @returns {Object} - {scene, camera, width, height, pixelRatio, add, place, remove, render, dispose}
+ */
+export function createHudLayer(renderer, options = {}) {
+  const {
+    snap = true,
+    trackPixelRatio = false
+  } = options;
+
+  const scene = new THREE.Scene();
+  const camera = new THREE.OrthographicCamera(0, 1, 0, -1, -1000, 1000);
+  const size = new THREE.Vector2();
+  const placements = new Map();
+
+  const hud = {
+    scene,
+    camera,
+    width: 0,
+    height: 0,
+    pixelRatio: 1,
+
+    /**
+     * Add an object at a position given in CSS pixels from the canvas edges
+     * @param {THREE.Object3D} object - Object to add (e.g. an MSDFString)
+     * @param {Object} position - {left | right, top | bottom} in CSS pixels
+     *   (default: left 0, top 0); the object's origin is placed there
+     */
+    add(object, position = {}) {
+      scene.add(object);
+      hud.place(object, position);
+      return object;
+    },
+
+    /**
+     * Move an object to a position given in CSS pixels (see add)
+     */
+    place(object, { left, right, top, bottom } = {}) {
+      placements.set(object, { left, right, top, bottom });
+      applyPlacement(object);
+    },
+
+    /**
+     * Remove an object from the layer
+     */
+    remove(object) {
+      placements.delete(object);
+      scene.remove(object);
+    },
+
+    /**
+     * Render the layer over what is already on the canvas (call after the
+     * main scene; createAnimationLoop does this for `context.hud`)
+     */
+    render() {
+      update();
+
+      const autoClear = renderer.autoClear;
+      renderer.autoClear = false;
+      renderer.clearDepth();
+      renderer.render(scene, camera);
+      renderer.autoClear = autoClear;
+    },
+
+    dispose() {
+      stopTracking();
+      placements.clear();
+      scene.clear();
+    }
+  };
+
+  // Round to whole device pixels
+  const snapValue = (value) => snap ? Math.round(value * hud.pixelRatio) / hud.pixelRatio : value;
+
+  const applyPlacement = (object) => {
+    const { left, right, top, bottom } = placements.get(object);
+    const x = right !== undefined ? hud.width - right : (left ?? 0);
+    const y = bottom !== undefined ? hud.height - bottom : (top ?? 0);
+    object.position.x = snapValue(x);
+    object.position.y = -snapValue(y);
+  };
+
+  // Follow the canvas size and pixel ratio
+  const update = () => {
+    renderer.getSize(size);
+    const pixelRatio = renderer.getPixelRatio();
+    if (size.x === hud.width && size.y === hud.height && pixelRatio === hud.pixelRatio) return;
+
+    hud.width = size.x;
+    hud.height = size.y;
+    hud.pixelRatio = pixelRatio;
+    camera.right = size.x;
+    camera.bottom = -size.y;
+    camera.updateProjectionMatrix();
+
+    for (const object of placements.keys()) applyPlacement(object);
+  };
+
+  // Optional: match the renderer to devicePixelRatio whenever it changes.
+  // This runs from a media query event, between frames, so a frame is never
+  // resized (and cleared) halfway through rendering.
+  let stopTracking = () => {};
+  if (trackPixelRatio && typeof window !== 'undefined' && window.matchMedia) {
+    let query = null;
+    const onChange = () => {
+      query?.removeEventListener('change', onChange);
+      if (window.devicePixelRatio !== renderer.getPixelRatio()) {
+        renderer.setPixelRatio(window.devicePixelRatio);
+      }
+      // The query matches one ratio: watch for the next change
+      query = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+      query.addEventListener('change', onChange);
+    };
+    onChange();
+    stopTracking = () => query.removeEventListener('change', onChange);
+  }
+
+  update();
+  return hud;
+}
+
 /**
  * Setup basic raycasting for instanced meshes
  * @param {THREE.Camera} camera - Camera to raycast from
  * @param {HTMLCanvasElement} canvas - Canvas element
- * @param {Function} onIntersect - Callback (instanceId, intersect) when intersection occurs
+ * @param {Function} onIntersect - Callback (instanceId, intersect, hit) when a glyph is hit;
+ *   `hit` is the MSDFString.hitTest result (string index, line, caret) for text meshes,
+ *   else null
  * @param {Object} options - {objects: array of meshes to test, dragThreshold: 200}
  */
 export function setupRaycasting(camera, canvas, onIntersect, options = {}) {
@@ -154,8 +296,9 @@ export function setupRaycasting(camera, canvas, onIntersect, options = {}) {
     for (const obj of objects) {
       const intersects = raycaster.intersectObject(obj, true);
       if (intersects.length > 0) {
-        const instanceId = intersects[0].instanceId;
-        onIntersect(instanceId, intersects[0]);
+        // hitTest walks every instance: only run it once the ray hit a glyph
+        const hit = typeof obj.hitTest === 'function' ? obj.hitTest(raycaster) : null;
+        onIntersect(intersects[0].instanceId, intersects[0], hit);
         return;
       }
     }
@@ -0,0 +1,267 @@
+import { test } from 'node:test';
+import * as THREE from 'three';
+import assert from 'node:assert/strict';
+import { MSDFString } from '../lib/MSDFString.js';
+import { createTestMeshFont } from './fixtures.js';
+
+const font = createTestMeshFont();
+
+const _matrix = new THREE.Matrix4();
+const _scale = new THREE.Vector3();
+
+/** One item of an instanced attribute as a plain array */
+function instanceValues(mesh, name, index) {
+  const attribute = mesh.geometry.attributes[name];
+  return Array.from(attribute.array.subarray(index * attribute.itemSize, (index + 1) * attribute.itemSize));
+}
+
+test('setRichText strips markup and styles the glyphs of each span', () => {
+  const mesh = new MSDFString({ font });
+  mesh.setRichText('a[color=#ff0000]bc[/color][b]d[/b]e');
+
+  assert.equal(mesh.getText(), 'abcde');
+  assert.equal(mesh.count, 5);
+  assert.deepEqual(instanceValues(mesh, 'instanceColor', 0), [1, 1, 1, 1]);
+  assert.deepEqual(instanceValues(mesh, 'instanceColor', 1), [1, 0, 0, 1]);
+  assert.deepEqual(instanceValues(mesh, 'instanceColor', 2), [1, 0, 0, 1]);
+  assert.deepEqual(instanceValues(mesh, 'instanceColor', 3), [1, 1, 1, 1]);
+  assert.ok(Math.abs(instanceValues(mesh, 'instanceThickness', 3)[0] - 0.8) < 1e-6);
+  assert.equal(instanceValues(mesh, 'instanceThickness', 4)[0], 1);
+});
+
+test('setRichText [glow] turns glow on for its span only', () => {
+  const mesh = new MSDFString({ font });
+  mesh.setRichText('ab[glow]cd[/glow]');
+
+  assert.equal(mesh.material.uniforms.globalGlowMode.value, 1);
+  assert.deepEqual([0, 1, 2, 3].map(i => instanceValues(mesh, 'instanceGlowMode', i)[0]), [0, 0, 1, 1]);
+});
+
+test('setRichText resets the styles of a previous call', () => {
+  const mesh = new MSDFString({ font });
+  mesh.setRichText('[color=#0000ff]ab[/color]');
+  mesh.setRichText('ab');
+
+  assert.deepEqual(instanceValues(mesh, 'instanceColor', 0), [1, 1, 1, 1]);
+});
+
+test('setRichText [size] scales glyphs and their line', () => {
+  const mesh = new MSDFString({ font });
+  mesh.setRichText('a[size=2]b[/size]');
+
+  const width = (index) => {
+    mesh.getMatrixAt(index, _matrix);
+    return _scale.setFromMatrixScale(_matrix).x;
+  };
+  assert.equal(width(1), 2 * width(0));
+});
+
+test('the default shader starts in glow mode', () => {
+  const mesh = new MSDFString({ font, text: 'ab' });
+  assert.equal(mesh.material.uniforms.globalGlowMode.value, 1);
+});
+
+test('string offsets map to instances and back', () => {
+  const mesh = new MSDFString({ font, text: 'ab\ncd' });
+
+  assert.deepEqual([0, 1, 2, 3, 4, 5].map(i => mesh.stringIndexToInstance(i)), [0, 1, -1, 2, 3, -1]);
+  assert.deepEqual([0, 1, 2, 3, 4].map(i => mesh.instanceToStringIndex(i)), [0, 1, 3, 4, -1]);
+});
+
+test('range setters style the instances of a string range', () => {
+  const mesh = new MSDFString({ font, text: 'ab\ncd' });
+  mesh.setRangeColor(1, 4, '#00ff00', 0.5);
+  mesh.setRangeThickness(3, 5, 0.5, 2);
+  mesh.setRangeGlowMode(0, 1, false);
+
+  assert.deepEqual([0, 1, 2, 3].map(i => instanceValues(mesh, 'instanceColor', i)), [
+    [1, 1, 1, 1], [0, 1, 0, 0.5], [0, 1, 0, 0.5], [1, 1, 1, 1]
+  ]);
+  assert.deepEqual([0, 1, 2, 3].map(i => instanceValues(mesh, 'instanceThickness', i)), [
+    [1, 1], [1, 1], [0.5, 2], [0.5, 2]
+  ]);
+  assert.deepEqual([0, 1, 2, 3].map(i => instanceValues(mesh, 'instanceGlowMode', i)[0]), [0, 1, 1, 1]);
+});
+
+test('range setters ignore empty and out-of-range ranges', () => {
+  const mesh = new MSDFString({ font, text: 'ab' });
+  mesh.setRangeColor(2, 10, '#000000');
+  mesh.setRangeColor(1, 1, '#000000');
+
+  assert.deepEqual(instanceValues(mesh, 'instanceColor', 0), [1, 1, 1, 1]);
+  assert.deepEqual(instanceValues(mesh, 'instanceColor', 1), [1, 1, 1, 1]);
+});
+
+test('setText uploads only the run of instances that changed', () => {
+  const mesh = new MSDFString({ font, text: 'score 100' });
+  const { instanceMatrix } = mesh;
+  const uvOffset = mesh.geometry.attributes.uvOffset;
+  instanceMatrix.clearUpdateRanges();
+  uvOffset.clearUpdateRanges();
+
+  mesh.setText('score 105');
+
+  assert.deepEqual(instanceMatrix.updateRanges, [{ start: 8 * 16, count: 16 }]);
+  assert.deepEqual(uvOffset.updateRanges, [{ start: 8 * 4, count: 4 }]);
+});
+
+test('setText with unchanged text uploads nothing', () => {
+  const mesh = new MSDFString({ font, text: 'score 100' });
+  mesh.instanceMatrix.clearUpdateRanges();
+  const version = mesh.instanceMatrix.version;
+
+  mesh.setText('score 100');
+
+  assert.deepEqual(mesh.instanceMatrix.updateRanges, []);
+  assert.equal(mesh.instanceMatrix.version, version);
+});
+
+test('setText hides the instances a longer text used', () => {
+  const mesh = new MSDFString({ font, text: 'abcd' });
+  mesh.instanceMatrix.clearUpdateRanges();
+
+  mesh.setText('ab');
+
+  assert.equal(mesh.count, 2);
+  assert.deepEqual(mesh.instanceMatrix.updateRanges, [{ start: 2 * 16, count: 2 * 16 }]);
+  mesh.getMatrixAt(2, _matrix);
+  assert.equal(_scale.setFromMatrixScale(_matrix).x, 0);
+});
+
+test('setText with unchanged text restores instances changed from outside', () => {
+  const mesh = new MSDFString({ font, text: 'abc' });
+  const expected = new THREE.Matrix4();
+  mesh.getMatrixAt(1, expected);
+
+  mesh.setMatrixAt(1, new THREE.Matrix4().makeTranslation(5, 5, 0));
+  mesh.setText('abc');
+
+  mesh.getMatrixAt(1, _matrix);
+  assert.deepEqual(_matrix.elements, expected.elements);
+});
+
+test('layout property accessors relayout the current text', () => {
+  const mesh = new MSDFString({ font, text: 'ab' });
+  mesh.fontSize = 2;
+
+  mesh.getMatrixAt(0, _matrix);
+  assert.equal(_scale.setFromMatrixScale(_matrix).x, 2);
+  assert.equal(mesh.getLayout().fontSize, 2);
+});
+
+/** Register a fresh test font in the cache and count its texture disposals */
+function cacheTestFont(name, texture) {
+  const cached = { name, ...createTestMeshFont() };
+  if (texture) cached.texture = texture;
+  let disposals = 0;
+  cached.texture.addEventListener('dispose', () => disposals++);
+  MSDFString.fontCache.set(name, cached);
+  return { font: cached, disposals: () => disposals };
+}
+
+test('unloadFont frees a font no mesh uses right away', () => {
+  const { disposals } = cacheTestFont('unused');
+
+  assert.equal(MSDFString.unloadFont('unused'), true);
+  assert.equal(MSDFString.getFont('unused'), null);
+  assert.equal(disposals(), 1);
+  assert.equal(MSDFString.unloadFont('unused'), false);
+});
+
+test('unloadFont defers freeing until the last mesh using the font is disposed', () => {
+  const { disposals } = cacheTestFont('shared');
+  const first = new MSDFString({ font: 'shared', text: 'a' });
+  const second = new MSDFString({ font: 'shared', text: 'b' });
+
+  assert.equal(MSDFString.unloadFont('shared'), false);
+  assert.equal(MSDFString.getFont('shared'), null);
+
+  first.dispose();
+  first.dispose(); // A second dispose must not release the font again
+  assert.equal(disposals(), 0);
+
+  second.dispose();
+  assert.equal(disposals(), 1);
+});
+
+test('disposing meshes keeps cached fonts loaded', () => {
+  const { disposals } = cacheTestFont('kept');
+  new MSDFString({ font: 'kept', text: 'a' }).dispose();
+
+  assert.ok(MSDFString.getFont('kept'));
+  assert.equal(disposals(), 0);
+  MSDFString.unloadFont('kept');
+});
+
+test('a fallback texture array is shared and freed with its last mesh', () => {
+  const layer = () => new THREE.DataArrayTexture(new Uint8Array(4 * 4 * 4), 4, 4, 1);
+  const primary = cacheTestFont('primary', layer()).font;
+  const fallback = cacheTestFont('fallback', layer()).font;
+  const first = new MSDFString({ font: primary, fallbackFonts: [fallback], text: 'a' });
+  const second = new MSDFString({ font: primary, fallbackFonts: [fallback], text: 'b' });
+
+  const texture = first.material.uniforms.msdfTexture.value;
+  assert.equal(second.material.uniforms.msdfTexture.value, texture);
+  let disposed = 0;
+  texture.addEventListener('dispose', () => disposed++);
+
+  first.dispose();
+  assert.equal(disposed, 0);
+  second.dispose();
+  assert.equal(disposed, 1);
+  MSDFString.clearFontCache();
+});
+
+/** A raycaster pointing down -z through local point (x, y) of an untransformed mesh */
+function rayAt(x, y) {
+  return new THREE.Raycaster(new THREE.Vector3(x, y, 5), new THREE.Vector3(0, 0, -1));
+}
+
+test('hitTest finds the character under a raycast', () => {
+  const mesh = new MSDFString({ font, text: 'score 100', anchorX: 'left', anchorY: 'top' });
+
+  // Each character is one unit wide, the line spans y = 0 to -1.2
+  const hits = [0.5, 2.5, 4.5, 6.5, 8.5].map(x => mesh.hitTest(rayAt(x, -0.5)));
+  assert.deepEqual(hits.map(hit => hit.index), [0, 2, 4, 6, 8]);
+  assert.deepEqual(hits.map(hit => hit.instance), [0, 2, 4, 6, 8]);
+  for (const hit of hits) {
+    assert.equal(hit.distance, 5);
+    assert.equal(hit.inside, true);
+  }
+});
+
+test('hitTest raycasts and local points agree', () => {
+  const mesh = new MSDFString({ font, text: 'score 100', anchorX: 'center' });
+
+  for (const x of [-4.2, -1.7, 0.3, 2.9, 4.4]) {
+    const fromRay = mesh.hitTest(rayAt(x, -0.5));
+    const fromPoint = mesh.hitTest(new THREE.Vector2(x, -0.5));
+    assert.equal(fromRay.index, fromPoint.index, `x = ${x}`);
+    assert.equal(fromRay.caret, fromPoint.caret, `x = ${x}`);
+  }
+});
+
+test('hitTest follows the mesh transform', () => {
+  const mesh = new MSDFString({ font, text: 'abc', anchorX: 'left', anchorY: 'top' });
+  mesh.position.set(10, 0, 0);
+  mesh.scale.setScalar(2);
+
+  assert.equal(mesh.hitTest(rayAt(10 + 2 * 1.5, -1)).index, 1);
+  assert.equal(mesh.hitTest(rayAt(1.5, -1)).inside, false);
+});
+
+test('hitTest resolves spaces and picks the caret side', () => {
+  const mesh = new MSDFString({ font, text: 'ab cd', anchorX: 'left', anchorY: 'top' });
+
+  const space = mesh.hitTest(rayAt(2.2, -0.5));
+  assert.equal(space.index, 2);
+  assert.equal(space.caret, 2);
+  assert.equal(mesh.hitTest(rayAt(2.8, -0.5)).caret, 3);
+});
+
+test('hitTest misses rays outside the text lines', () => {
+  const mesh = new MSDFString({ font, text: 'abc', anchorX: 'left', anchorY: 'top' });
+
+  assert.equal(mesh.hitTest(rayAt(1.5, 3)), null);
+  assert.equal(mesh.hitTest(new THREE.Raycaster(new THREE.Vector3(1.5, -0.5, 5), new THREE.Vector3(0, 0, 1))), null);
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { MSDFTextInput } from '../lib/MSDFTextInput.js';
+import { createTestMeshFont } from './fixtures.js';
+
+/** Just enough of a <textarea> for the field: value, selection and focus events */
+class FakeTextarea extends EventTarget {
+  constructor() {
+    super();
+    this.style = {};
+    this.value = '';
+    this.selectionStart = 0;
+    this.selectionEnd = 0;
+    this.selectionDirection = 'none';
+  }
+
+  setAttribute() {}
+
+  setSelectionRange(start, end, direction = 'none') {
+    this.selectionStart = start;
+    this.selectionEnd = end;
+    this.selectionDirection = direction;
+  }
+
+  focus() {
+    this.dispatchEvent(new Event('focus'));
+  }
+
+  blur() {
+    this.dispatchEvent(new Event('blur'));
+  }
+
+  remove() {}
+}
+
+/** A 120 x 120 pixel canvas with pointer capture */
+class FakeCanvas extends EventTarget {
+  getBoundingClientRect() {
+    return { left: 0, top: 0, width: 120, height: 120 };
+  }
+
+  setPointerCapture() {}
+
+  hasPointerCapture() {
+    return false;
+  }
+
+  releasePointerCapture() {}
+
+  pointer(type, clientX, clientY) {
+    this.dispatchEvent(Object.assign(new Event(type, { cancelable: true }), { clientX, clientY, detail: 1, pointerId: 1 }));
+  }
+}
+
+globalThis.document = {
+  createElement: () => new FakeTextarea(),
+  body: { appendChild() {} }
+};
+
+/**
+ * A field of one-unit wide characters under an orthographic camera showing
+ * x = -1 to 11 and y = 1 to -11, so pixel = (unit + 1) * 10 across and
+ * (1 - unit) * 10 down
+ */
+function createField(value) {
+  const camera = new THREE.OrthographicCamera(-1, 11, 1, -11, 0.1, 100);
+  camera.position.set(0, 0, 10);
+  camera.updateMatrixWorld();
+  const domElement = new FakeCanvas();
+  const field = new MSDFTextInput({ font: createTestMeshFont(), value, camera, domElement, fontSize: 1 });
+  field.updateMatrixWorld();
+  return { field, domElement };
+}
+
+const toPixelX = (x) => (x + 1) * 10;
+const toPixelY = (y) => (1 - y) * 10;
+
+test('clicking places the caret at the nearest character boundary', () => {
+  const { field, domElement } = createField('hello world');
+
+  for (const [x, caret] of [[0.2, 0], [2.3, 2], [2.8, 3], [6.1, 6], [10.6, 11]]) {
+    domElement.pointer('pointerdown', toPixelX(x), toPixelY(-0.6));
+    domElement.pointer('pointerup', toPixelX(x), toPixelY(-0.6));
+    assert.deepEqual(field.getSelection(), { start: caret, end: caret, direction: 'forward' }, `x = ${x}`);
+  }
+  assert.equal(field.focused, true);
+});
+
+test('clicking past the end of the text puts the caret at the end', () => {
+  const { field, domElement } = createField('hello');
+
+  domElement.pointer('pointerdown', toPixelX(8), toPixelY(-0.6));
+  assert.equal(field.getSelection().start, 5);
+});
+
+test('dragging selects from the press to the pointer', () => {
+  const { field, domElement } = createField('hello world');
+
+  domElement.pointer('pointerdown', toPixelX(7.9), toPixelY(-0.6));
+  domElement.pointer('pointermove', toPixelX(1.2), toPixelY(-0.6));
+  domElement.pointer('pointerup', toPixelX(1.2), toPixelY(-0.6));
+
+  assert.deepEqual(field.getSelection(), { start: 1, end: 8, direction: 'backward' });
+});
+
+test('clicking outside the field blurs it', () => {
+  const { field, domElement } = createField('hello');
+
+  domElement.pointer('pointerdown', toPixelX(1.2), toPixelY(-0.6));
+  assert.equal(field.focused, true);
+  domElement.pointer('pointerdown', toPixelX(1.2), toPixelY(-8));
+  assert.equal(field.focused, false);
+  assert.equal(field.getSelection().start, 1);
+});
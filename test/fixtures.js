@@ -0,0 +1,58 @@
+/**
+ * Test fixtures: a synthetic monospaced font, so layout results are exact
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Build an in-memory font atlas {data} (no texture needed for layout).
+ * Every glyph is `advance` units wide and tall at info.size 10, so with the
+ * default fontSize 1 each character advances exactly `advance / 10`.
+ * @param {Object} [options]
+ * @param {string} [options.chars] - Characters the font has glyphs for
+ * @param {Array<[string, string, number]>} [options.kernings] - [first, second, amount]
+ * @param {number} [options.advance=10] - Advance in font units
+ */
+export function createTestFont(options = {}) {
+  const {
+    chars = ' abcdefghijklmnopqrstuvwxyzAVWT.,!?0123456789',
+    kernings = [],
+    advance = 10
+  } = options;
+
+  return {
+    data: {
+      info: { face: 'test', size: 10 },
+      common: { lineHeight: 12, base: 8, scaleW: 256, scaleH: 256, pages: 1 },
+      chars: Array.from(chars, (char, index) => {
+        const space = /\s/.test(char);
+        return {
+          id: char.codePointAt(0),
+          index,
+          // Distinct atlas cells, so glyphs differ in their UVs
+          x: (index % 16) * 16,
+          y: Math.floor(index / 16) * 16,
+          width: space ? 0 : advance,
+          height: space ? 0 : 10,
+          xoffset: 0,
+          yoffset: 0,
+          xadvance: advance,
+          page: 0
+        };
+      }),
+      kernings: kernings.map(([first, second, amount]) => ({
+        first: first.codePointAt(0),
+        second: second.codePointAt(0),
+        amount
+      }))
+    }
+  };
+}
+
+/**
+ * A test font with a placeholder texture, as MSDFString needs {texture, data}
+ * @param {Object} [options] - See createTestFont
+ */
+export function createTestMeshFont(options) {
+  return { texture: new THREE.Texture(), ...createTestFont(options) };
+}
@@ -0,0 +1,216 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { layoutText, measureText } from '../lib/textLayout.js';
+import { createTestFont } from './fixtures.js';
+
+const HEBREW = '\u05D0\u05D1\u05D2';
+const EMOJI = '\u{1F600}';
+const COMBINING_ACUTE = '\u0301';
+
+const font = createTestFont({
+  chars: ' abcdefghijklmnopqrstuvwxyzAVT.,!?0123456789' + HEBREW + EMOJI + COMBINING_ACUTE,
+  kernings: [['A', 'V', -3], ['T', 'o', -2]]
+});
+
+/** Glyph string indices ordered left to right, ignoring empty (space) quads */
+function visualOrder(metrics) {
+  return metrics.glyphs
+    .filter(glyph => glyph.width > 0)
+    .sort((a, b) => a.x - b.x)
+    .map(glyph => glyph.index);
+}
+
+function lineText(text, line) {
+  return text.slice(line.start, line.end).trim();
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: expected ${expected}, got ${actual}`);
+}
+
+test('measureText sizes a block without a mesh', () => {
+  const metrics = measureText(font, 'abc', { fontSize: 2, anchorX: 'left', anchorY: 'top' });
+
+  assertClose(metrics.width, 6, 'width');
+  assertClose(metrics.height, 2.4, 'height');
+  assert.deepEqual(metrics.bounds, { minX: 0, minY: -2.4, maxX: 6, maxY: 0 });
+  assert.deepEqual(metrics.lines.map(line => [line.start, line.end]), [[0, 3]]);
+  assert.equal(metrics.truncated, false);
+});
+
+test('measureText glyph rects are the layout quads, bottom-left based', () => {
+  const layout = layoutText(font, 'ab\ncd');
+  const metrics = measureText(font, 'ab\ncd');
+
+  assert.equal(metrics.glyphs.length, layout.glyphs.length);
+  metrics.glyphs.forEach((rect, i) => {
+    const quad = layout.glyphs[i];
+    assert.equal(rect.index, quad.stringIndex);
+    assert.equal(rect.line, quad.line);
+    assertClose(rect.x, quad.x - quad.width / 2, `glyph ${i} x`);
+    assertClose(rect.y, quad.y - quad.height / 2, `glyph ${i} y`);
+  });
+  assert.deepEqual(metrics.glyphs.map(rect => rect.index), [0, 1, 3, 4]);
+});
+
+test('measureText reports code points missing from the font', () => {
+  assert.deepEqual(measureText(font, 'a#b#').missing, [0x23]);
+});
+
+test('kerning pulls kerned pairs together', () => {
+  const kerned = measureText(font, 'AV');
+  const plain = measureText(font, 'AV', { kerning: false });
+
+  assertClose(plain.width, 2, 'unkerned width');
+  assertClose(kerned.width, 1.7, 'kerned width');
+  assertClose(kerned.glyphs[1].x - kerned.glyphs[0].x, 0.7, 'kerned advance');
+  assertClose(measureText(font, 'VA').width, 2, 'kerning is directional');
+});
+
+test('kerning scales with fontSize', () => {
+  const metrics = measureText(font, 'To', { fontSize: 2 });
+  assertClose(metrics.width, 4 - 0.4, 'kerned width at fontSize 2');
+});
+
+test('word wrap breaks at spaces within maxWidth', () => {
+  const text = 'aaa bbb ccc';
+  const metrics = measureText(font, text, { maxWidth: 7.5 });
+
+  assert.deepEqual(metrics.lines.map(line => lineText(text, line)), ['aaa bbb', 'ccc']);
+  for (const line of metrics.lines) assert.ok(line.width <= 7.5);
+  assertClose(metrics.width, 7, 'widest line');
+  assertClose(metrics.height, 2.4, 'two lines at lineHeight 1.2');
+});
+
+test('char wrap breaks inside long words', () => {
+  const text = 'aaaaaaaaaa';
+  const metrics = measureText(font, text, { maxWidth: 4, wordWrap: 'char' });
+
+  assert.deepEqual(metrics.lines.map(line => [line.start, line.end]), [[0, 4], [4, 8], [8, 10]]);
+  assert.deepEqual(metrics.lines.map(line => line.width), [4, 4, 2]);
+});
+
+test('explicit newlines start new lines', () => {
+  const text = 'ab\ncd';
+  const metrics = measureText(font, text);
+
+  assert.deepEqual(metrics.lines.map(line => lineText(text, line)), ['ab', 'cd']);
+  assertClose(metrics.lines[0].baseline - metrics.lines[1].baseline, 1.2, 'line pitch');
+});
+
+test('astral code points and combining marks form single clusters', () => {
+  const text = 'e' + COMBINING_ACUTE + EMOJI + 'a';
+  const layout = layoutText(font, text);
+  const metrics = measureText(font, text);
+
+  assert.deepEqual(layout.clusters.map(cluster => cluster.text), ['e' + COMBINING_ACUTE, EMOJI, 'a']);
+  assert.deepEqual(metrics.missing, []);
+  // Three advances: the mark stacks on its base, the surrogate pair is one glyph
+  assertClose(metrics.width, 3, 'width');
+  assert.deepEqual(metrics.glyphs.map(glyph => glyph.index), [0, 0, 2, 4]);
+  assert.equal(metrics.glyphs[0].x, metrics.glyphs[1].x);
+});
+
+test('astral code points missing from the font are reported once', () => {
+  const metrics = measureText(font, 'a\u{1F680}b\u{1F680}');
+  assert.deepEqual(metrics.missing, [0x1F680]);
+});
+
+test('bidi reorders right-to-left runs inside a left-to-right paragraph', () => {
+  const metrics = measureText(font, 'abc ' + HEBREW);
+  assert.deepEqual(visualOrder(metrics), [0, 1, 2, 6, 5, 4]);
+});
+
+test('bidi lays out a right-to-left paragraph from the right', () => {
+  const metrics = measureText(font, HEBREW.slice(0, 2) + ' ab');
+
+  assert.deepEqual(visualOrder(metrics), [3, 4, 1, 0]);
+  // Start alignment in an RTL paragraph hangs the line left of the origin
+  assertClose(metrics.bounds.maxX, 0, 'right edge');
+  assertClose(metrics.bounds.minX, -5, 'left edge');
+});
+
+test('direction: ltr overrides paragraph detection', () => {
+  const metrics = measureText(font, HEBREW.slice(0, 2) + ' ab', { direction: 'ltr' });
+
+  assert.deepEqual(visualOrder(metrics), [1, 0, 3, 4]);
+  assertClose(metrics.bounds.minX, 0, 'left edge');
+});
+
+test('anchorX positions the block horizontally', () => {
+  const left = measureText(font, 'ab\ncd', { anchorX: 'left' }).bounds;
+  const center = measureText(font, 'ab\ncd', { anchorX: 'center' }).bounds;
+  const right = measureText(font, 'ab\ncd', { anchorX: 'right' }).bounds;
+
+  assertClose(left.minX, 0, 'left');
+  assertClose(center.minX, -1, 'center min');
+  assertClose(center.maxX, 1, 'center max');
+  assertClose(right.maxX, 0, 'right');
+});
+
+test('anchorY positions the block vertically', () => {
+  const top = measureText(font, 'ab\ncd', { anchorY: 'top' });
+  const middle = measureText(font, 'ab\ncd', { anchorY: 'middle' });
+  const bottom = measureText(font, 'ab\ncd', { anchorY: 'bottom' });
+  const baseline = measureText(font, 'ab\ncd', { anchorY: 'baseline' });
+
+  assertClose(top.bounds.maxY, 0, 'top');
+  assertClose(middle.bounds.maxY, -middle.bounds.minY, 'middle');
+  assertClose(bottom.bounds.minY, 0, 'bottom');
+  assertClose(baseline.lines[0].baseline, 0, 'first baseline');
+});
+
+test('justify stretches wrapped lines but not the last line', () => {
+  const text = 'aa bb cc dd';
+  const metrics = measureText(font, text, { align: 'justify', maxWidth: 7 });
+
+  assert.deepEqual(metrics.lines.map(line => lineText(text, line)), ['aa bb', 'cc dd']);
+  assertClose(metrics.lines[0].width, 7, 'justified line');
+  assertClose(metrics.lines[1].width, 5, 'last line');
+  // The extra space goes into the gap between words
+  const second = metrics.glyphs.find(glyph => glyph.index === 3);
+  assertClose(second.x, 5, 'second word start');
+});
+
+test('letterSpacing and wordSpacing widen advances in em units', () => {
+  const letters = measureText(font, 'abc', { fontSize: 2, letterSpacing: 0.25 });
+  const words = measureText(font, 'a b', { fontSize: 2, wordSpacing: 0.5 });
+
+  assertClose(letters.glyphs[1].x - letters.glyphs[0].x, 2.5, 'letter advance');
+  assertClose(words.glyphs[2].x - words.glyphs[0].x, 5, 'advance across the space');
+});
+
+test('maxLines drops extra lines and reports truncation', () => {
+  const text = 'aa bb cc dd ee';
+  const metrics = measureText(font, text, { maxWidth: 4, maxLines: 2 });
+  const layout = layoutText(font, text, { maxWidth: 4, maxLines: 2 });
+
+  assert.equal(metrics.lines.length, 2);
+  assert.equal(metrics.truncated, true);
+  assert.equal(layout.truncated, true);
+  assert.ok(metrics.glyphs.every(glyph => glyph.index < 5));
+});
+
+test('maxLines does not report truncation when everything fits', () => {
+  const metrics = measureText(font, 'aa bb', { maxWidth: 4, maxLines: 2 });
+
+  assert.equal(metrics.lines.length, 2);
+  assert.equal(metrics.truncated, false);
+});
+
+test('ellipsis overflow keeps the last line within maxWidth', () => {
+  const metrics = measureText(font, 'aa bb cc dd ee', { maxWidth: 4, maxLines: 2, overflow: 'ellipsis' });
+
+  assert.equal(metrics.truncated, true);
+  assert.equal(metrics.lines.length, 2);
+  assert.ok(metrics.lines[1].width <= 4);
+  assert.ok(metrics.glyphs.length > 4, 'ellipsis glyphs are added');
+});
+
+test('clip overflow reports truncation of an unwrapped line', () => {
+  const layout = layoutText(font, 'aaaaaa', { maxWidth: 4, wordWrap: 'none', overflow: 'clip' });
+
+  assert.equal(layout.truncated, true);
+  assert.ok(layout.clipRect);
+  assertClose(layout.clipRect.maxX - layout.clipRect.minX, 4, 'clip width');
+});
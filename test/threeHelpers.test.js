@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { MSDFString } from '../lib/MSDFString.js';
+import { setupRaycasting } from '../lib/threeHelpers.js';
+import { createTestMeshFont } from './fixtures.js';
+
+/** Just enough of a 100 x 100 canvas for the pointer helpers */
+function createCanvas() {
+  const listeners = {};
+  return {
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    removeEventListener: (type) => { delete listeners[type]; },
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: 100, height: 100 }),
+    click(clientX, clientY) {
+      listeners.mousedown?.({ clientX, clientY });
+      listeners.click?.({ clientX, clientY });
+    }
+  };
+}
+
+test('setupRaycasting reports the clicked glyph with its hitTest result', () => {
+  const camera = new THREE.OrthographicCamera(-5, 5, 5, -5, 0.1, 100);
+  camera.position.set(0, 0, 10);
+  camera.updateMatrixWorld();
+  const mesh = new MSDFString({ font: createTestMeshFont(), text: 'abcde', anchorX: 'center', anchorY: 'middle' });
+  mesh.updateMatrixWorld();
+
+  const calls = [];
+  const canvas = createCanvas();
+  const raycasting = setupRaycasting(camera, canvas, (...args) => calls.push(args), { objects: [mesh] });
+
+  // Pixel 65 is x = 1.5 in the 10-unit wide view: the middle of 'd'
+  canvas.click(65, 50);
+  assert.equal(calls.length, 1);
+  const [instanceId, intersect, hit] = calls[0];
+  assert.equal(instanceId, 3);
+  assert.equal(intersect.instanceId, 3);
+  assert.equal(hit.index, 3);
+
+  // Above the text: no callback
+  canvas.click(65, 10);
+  assert.equal(calls.length, 1);
+
+  raycasting.dispose();
+  canvas.click(65, 50);
+  assert.equal(calls.length, 1);
+});